@@ -130,8 +130,8 @@ npm run test:watch
 # Running tests with coverage
 npm run test:coverage
 
-# Generating performance reports
-./scripts/performance-report.sh
+# Generating performance reports (performance-report.json, .md and .html)
+npm run benchmark
 
 # Validating individual exercises
 ./scripts/validate-single-exercise.sh portfolio
@@ -4,15 +4,18 @@ set -e
 echo "🧪 Running Uniweb CLI Tests"
 echo "=========================="
 
-# Check if CLI is installed
-if ! command -v uniweb &> /dev/null; then
+# Check if CLI is installed (UNIWEB_BIN points the tests at another build)
+if [ -n "$UNIWEB_BIN" ]; then
+    echo "✅ Using Uniweb CLI from UNIWEB_BIN: $UNIWEB_BIN"
+elif ! command -v uniweb &> /dev/null; then
     echo "❌ Uniweb CLI not found. Please install it globally first:"
     echo "   npm install -g @uniwebcms/toolkit"
+    echo "   or set UNIWEB_BIN to a bin script, CLI checkout or npm pack tarball"
     exit 1
+else
+    echo "✅ Uniweb CLI found: $(uniweb --version)"
 fi
 
-echo "✅ Uniweb CLI found: $(uniweb --version)"
-
 # Install test dependencies
 echo "📦 Installing test dependencies..."
 npm install
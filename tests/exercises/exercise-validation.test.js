@@ -5,9 +5,9 @@ import { TestEnvironment } from "../setup/enhanced-test-helpers.js";
 describe("Exercise Validation Tests", () => {
   let env;
 
-  beforeEach(async () => {
+  beforeEach(async (context) => {
     env = new TestEnvironment();
-    await env.setup();
+    await env.setup(context);
   });
 
   afterEach(async () => {
@@ -60,6 +60,21 @@ describe("Exercise Validation Tests", () => {
         .yamlProperty("pages/index/page.yml", "sections", ["hero"])
         .verify();
 
+      await env.expectSectionFrontMatter(
+        "pages/index/hero.md",
+        "component",
+        "HeroSection"
+      );
+      await env.expectSectionHeading(
+        "pages/index/hero.md",
+        1,
+        "Welcome to My Portfolio"
+      );
+      await env.expectSectionLink("pages/index/hero.md", {
+        href: "/projects",
+        attrs: ["button-primary"],
+      });
+
       console.log("✅ Exercise 1 completed successfully!");
     });
 
@@ -80,7 +95,12 @@ describe("Exercise Validation Tests", () => {
         "Section already exists"
       );
 
-      // Test invalid component names in content
+      // Test invalid component names and params in content
+      await env.mockComponentLibrary("mistake-components", [
+        { name: "Hero", category: "Layout" },
+      ]);
+      await env.linkModule("mistake-components");
+
       const invalidContent = env
         .buildContent()
         .component("NonExistentComponent")
@@ -93,6 +113,35 @@ describe("Exercise Validation Tests", () => {
         "pages/test/hero.md",
         "NonExistentComponent"
       );
+
+      const badParams = env
+        .buildContent()
+        .component("Hero")
+        .param("layout", "diagonal")
+        .param("fullHeight", "yes")
+        .title("Test")
+        .build();
+
+      await env
+        .addSection("banner", { page: "test" })
+        .setSection("banner", badParams, { page: "test" });
+
+      // The component check names the unknown component and each bad param
+      const report = await env.componentReport();
+      const issues = report.issues.map(
+        (issue) => `${issue.file}: ${issue.message}`
+      );
+      expect(issues).toContainEqual(
+        expect.stringContaining(
+          'pages/test/hero.md: unknown component "NonExistentComponent"'
+        )
+      );
+      expect(issues).toContainEqual(
+        'pages/test/banner.md: Hero param layout = "diagonal" is not one of centered, left, right'
+      );
+      expect(issues).toContainEqual(
+        'pages/test/banner.md: Hero param fullHeight = "yes" should be a boolean'
+      );
     });
   });
 
@@ -191,6 +240,56 @@ describe("Exercise Validation Tests", () => {
         .fileContains("pages/test/content.md", "English Content")
         .fileContains("locales/fr/pages/test/content.md", "Contenu Français")
         .verify();
+
+      // The translation is current until the English source changes
+      const fr = await env.expectLocaleCoverage("fr", { minPercent: 0 });
+      expect(fr.missing).not.toContain("test/content.md");
+      expect(fr.stale).not.toContain("test/content.md");
+
+      await env.setSection("content", "# Updated English Content", {
+        page: "test",
+      });
+      const report = await env.localeReport();
+      expect(report.locales.fr.stale).toContain("test/content.md");
+    });
+
+    it("should pseudo-localize every section", async () => {
+      await env
+        .initProject("pseudo-site", { singleSite: true })
+        .addPage("products")
+        .addPage("about")
+        .addSection("showcase", { page: "products" })
+        .addLocale("fr");
+
+      const productContent = env
+        .buildContent()
+        .component("ProductShowcase")
+        .param("columns", 3)
+        .title("Our Products")
+        .paragraph("See the [catalog](/catalog){button}")
+        .build();
+
+      await env.setSection("showcase", productContent, { page: "products" });
+
+      // "de" doesn't exist yet, so pseudoLocalize adds it
+      const written = await env.pseudoLocalize("fr,de");
+      expect(written).toContain("locales/de/pages/products/showcase.md");
+
+      await env.expectLocaleCoverage("fr", { allowStale: false });
+      await env.expectLocaleCoverage("de", { allowStale: false });
+      await env.expectSectionFrontMatter(
+        "locales/fr/pages/products/showcase.md",
+        "columns",
+        3
+      );
+      await env.expectSectionLink("locales/fr/pages/products/showcase.md", {
+        href: "/catalog",
+        attrs: ["button"],
+      });
+      await env.expectFileContains(
+        "locales/fr/pages/products/showcase.md",
+        "Öûŕ Þŕöðûçţš"
+      );
     });
   });
 
@@ -250,9 +349,30 @@ describe("Exercise Validation Tests", () => {
           name: "CustomHero",
           category: "Layout",
           description: "A custom hero component",
+          parameters: {
+            style: ["modern", "classic"],
+            showOverlay: false,
+          },
         },
       ]);
 
+      // The generated module reads like a real library
+      await env.expectValidModuleConfig("src/custom-components/module.yml");
+      await env.expectValidComponentConfig(
+        "src/custom-components/components/CustomHero"
+      );
+      const meta = await env.readYaml(
+        "src/custom-components/components/CustomHero/meta.yml"
+      );
+      expect(meta).toMatchObject({
+        category: "Layout",
+        description: "A custom hero component",
+        parameters: {
+          style: { type: "string", enum: ["modern", "classic"] },
+          showOverlay: { type: "boolean", default: false },
+        },
+      });
+
       // Test using the component in the test site
       await env.navigateToSite("test-site");
 
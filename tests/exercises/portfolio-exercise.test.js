@@ -5,9 +5,9 @@ import { TestEnvironment } from "../setup/test-helpers.js";
 describe("Portfolio Exercise", () => {
   let env;
 
-  beforeEach(async () => {
+  beforeEach(async (context) => {
     env = new TestEnvironment();
-    await env.setup();
+    await env.setup(context);
   });
 
   afterEach(async () => {
@@ -20,7 +20,7 @@ describe("Portfolio Exercise", () => {
 
     await env
       .initProject("my-portfolio", { singleSite: true })
-      // .linkModule('portfolio-components')  // Would need mock registry
+      // .linkModule('portfolio-components')  // Needs the CLI to read UNIWEB_REGISTRY (see startMockRegistry)
       .addPage("about")
       .addPage("projects")
       .addSection("hero", { page: "index" })
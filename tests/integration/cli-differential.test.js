@@ -0,0 +1,39 @@
+// tests/integration/cli-differential.test.js
+import { describe, it } from "vitest";
+import { runDifferential } from "../setup/differential-runner.js";
+
+// Comma-separated UNIWEB_BIN-style locations, baseline first, e.g.
+// UNIWEB_DIFF_BINS=uniweb,../uniweb-toolkit npm run test:integration
+const binaries = (process.env.UNIWEB_DIFF_BINS || "")
+  .split(",")
+  .map((bin) => bin.trim())
+  .filter(Boolean)
+  .map((bin) => (bin === "uniweb" ? null : bin));
+
+describe.skipIf(binaries.length < 2)("CLI Differential Scaffolding", () => {
+  it("should scaffold the portfolio scenario identically", async () => {
+    const result = await runDifferential(binaries, (env) =>
+      env.scenarios().createPortfolioScenario()
+    );
+
+    console.log(result.report());
+    result.expectNoDifferences();
+  });
+
+  it("should scaffold nested sections identically", async () => {
+    const result = await runDifferential(binaries, async (env) => {
+      await env
+        .initProject("nested-site", { singleSite: true })
+        .addPage("services")
+        .addSection("service-tabs", { page: "services" })
+        .addSection("web-development", {
+          page: "services",
+          position: "under:service-tabs",
+        })
+        .addLocale("fr");
+    });
+
+    console.log(result.report());
+    result.expectNoDifferences();
+  });
+});
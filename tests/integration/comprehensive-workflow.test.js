@@ -1,13 +1,14 @@
 // tests/integration/comprehensive-workflow.test.js
 import { describe, it, expect, beforeEach, afterEach } from "vitest";
 import { TestEnvironment } from "../setup/enhanced-test-helpers.js";
+import { ContentBuilder } from "../setup/additional-helpers.js";
 
 describe("Comprehensive Uniweb Workflow", () => {
   let env;
 
-  beforeEach(async () => {
+  beforeEach(async (context) => {
     env = new TestEnvironment();
-    await env.setup();
+    await env.setup(context);
   });
 
   afterEach(async () => {
@@ -114,6 +115,17 @@ describe("Comprehensive Uniweb Workflow", () => {
       page: "products",
     });
 
+    // Front matter should survive the CLI with its types intact
+    const written = ContentBuilder.fromMarkdown(
+      await env.readFile("pages/products/product-list.md")
+    );
+    expect(written.frontMatter).toEqual({
+      component: "ProductGrid",
+      itemsPerPage: 12,
+      layout: "grid",
+      showFilters: true,
+    });
+
     // Verify JSON data was created
     const productData = await env.readJson("data/products.json");
     expect(productData.products).toHaveLength(2);
@@ -168,13 +180,22 @@ describe("Comprehensive Uniweb Workflow", () => {
       });
 
     // Verify the hierarchical structure in page.yml
-    const pageConfig = await env.readYaml("pages/services/page.yml");
-    expect(pageConfig.sections).toEqual([
+    await env.expectValidPageConfig("pages/services");
+    const tree = await env.expectSectionTree("pages/services", [
       "services-hero",
       {
         "service-tabs": ["web-development", "mobile-apps", "consulting"],
       },
     ]);
+    tree.expectChildrenOf("service-tabs", [
+      "web-development",
+      "mobile-apps",
+      "consulting",
+    ]);
+    expect(tree.getSectionPath("web-development")).toEqual([
+      "service-tabs",
+      "web-development",
+    ]);
 
     // Use content builder for tab content
     const tabContainerContent = env
@@ -216,16 +237,24 @@ describe("Comprehensive Uniweb Workflow", () => {
     );
   });
 
-  it("should handle bulk operations efficiently", async () => {
+  it("should handle bulk operations efficiently", async (context) => {
+    // Hashing the whole tree per command would be timed with every page
+    await env.cleanup();
+    env = new TestEnvironment({ trackChanges: false });
+    await env.setup(context);
     await env.initProject("large-site", { singleSite: true });
 
     const perf = env.performance();
 
     // Test bulk page creation
-    const pageMetrics = await perf.benchmarkBulkOperations(50); // Create 50 pages
+    const pageMetrics = await perf.benchmarkBulkOperations(50, {
+      resources: true, // Sample memory and CPU of each command
+    }); // Create 50 pages
 
     expect(pageMetrics.operationCount).toBe(50);
-    expect(pageMetrics.avgTimePerOperation).toBeLessThan(100); // Less than 100ms per page
+    expect(pageMetrics.perOperation.runs).toBe(50);
+    perf.expectOperationFasterThan("bulk-pages", 100, { percentile: 50 }); // Median page under 100ms
+    perf.expectPeakMemoryBelow("bulk-pages", 150 * 1024 * 1024);
 
     // Verify all pages were created
     for (let i = 0; i < 50; i++) {
@@ -252,6 +281,17 @@ describe("Comprehensive Uniweb Workflow", () => {
 
     perf.expectOperationFasterThan("batch-sections", 3000); // 30 sections in under 3 seconds
 
+    // Repeated runs after warmup; the assertion checks p95
+    const { stats } = await perf.timeOperation(
+      "add-section",
+      (i) => env.addSection(`extra-${i}`, { page: "test-page-49" }),
+      { warmup: 2, runs: 10 }
+    );
+    expect(stats.runs).toBe(10);
+    expect(stats.min).toBeLessThanOrEqual(stats.median);
+    expect(stats.median).toBeLessThanOrEqual(stats.p95);
+    perf.expectOperationFasterThan("add-section", 500);
+
     // Verify batch operations worked
     for (let i = 0; i < 10; i++) {
       await env
@@ -263,7 +303,7 @@ describe("Comprehensive Uniweb Workflow", () => {
         .verify();
     }
 
-    console.log("Performance Metrics:", perf.getMetrics());
+    console.log(`Performance Metrics:\n${perf.summary()}`);
   });
 
   it("should test error handling and edge cases", async () => {
@@ -302,6 +342,19 @@ describe("Comprehensive Uniweb Workflow", () => {
     );
   });
 
+  // Takes minutes, so only with UNIWEB_FUZZ=1 (npm run test:fuzz)
+  it.runIf(process.env.UNIWEB_FUZZ)(
+    "should reject or cleanly accept fuzzed page, section and locale names",
+    async () => {
+      await env.initProject("fuzz-test", { singleSite: true });
+
+      // Every name either fails with "Invalid <kind> name" or creates exactly
+      // the expected entry; failures are shrunk and reported with the seed
+      await env.expectNamesHandled({ count: 1 });
+    },
+    300000
+  );
+
   it("should validate CLI context awareness across different scenarios", async () => {
     await env.initProject("context-test", { singleSite: true });
 
@@ -485,6 +538,7 @@ describe("Comprehensive Uniweb Workflow", () => {
     await env.expectCommandSuccess(["link", "module", "test-components"]);
 
     // Verify site configuration was updated
+    await env.expectValidSiteConfig();
     const siteConfig = await env.readYaml("site.yml");
     expect(siteConfig.modules).toContain("test-components");
 
@@ -502,5 +556,75 @@ describe("Comprehensive Uniweb Workflow", () => {
       .setSection("hero", heroContent, { page: "index" });
 
     await env.expectFileContains("pages/index/hero.md", "HeroSection");
+    await env.expectComponentsResolved();
   });
+
+  // Needs a CLI that resolves remote modules through UNIWEB_REGISTRY (or
+  // npm_config_registry); which one it reads isn't confirmed yet, so the
+  // test only runs when asked for with UNIWEB_MOCK_REGISTRY=1
+  it.runIf(process.env.UNIWEB_MOCK_REGISTRY)(
+    "should link remote modules from a mock registry",
+    async () => {
+      const registry = await env.startMockRegistry();
+      registry
+        .publish("remote-components", "1.0.0")
+        .publish("remote-components", "1.2.0", {
+          components: [{ name: "HeroSection", category: "Layout" }],
+        })
+        .publish("remote-components", "1.3.0-beta.1")
+        .publish("remote-components", "2.0.0")
+        .publish("broken-components", "1.0.0", { manifest: "name: [broken" })
+        .publish("offline-components", "1.0.0")
+        .fail("offline-components", 503);
+
+      await env.initProject("registry-test", { singleSite: true });
+
+      // Ranges resolve to the highest matching release, not a prerelease
+      await env.linkModule("remote-components@^1.0.0");
+      await env.expectValidSiteConfig();
+      expect(
+        registry.requested("/remote-components/-/remote-components-1.2.0.tgz")
+      ).not.toHaveLength(0);
+      for (const version of ["1.3.0-beta.1", "2.0.0"]) {
+        expect(
+          registry.requested(
+            `/remote-components/-/remote-components-${version}.tgz`
+          )
+        ).toHaveLength(0);
+      }
+      const { modules } = await env.readYaml("site.yml");
+      expect(
+        modules.some(
+          (module) => (module?.name || module) === "remote-components"
+        )
+      ).toBe(true);
+
+      // Failures leave site.yml untouched
+      const notFound = await env.expectCommandFailure([
+        "link",
+        "module",
+        "missing-components",
+      ]);
+      expect(notFound.stderr).toMatch(/not found/i);
+      env.expectOnlyChanged([]);
+
+      const badManifest = await env.expectCommandFailure([
+        "link",
+        "module",
+        "broken-components",
+      ]);
+      expect(badManifest.stderr).toMatch(/manifest|module\.yml/i);
+      env.expectOnlyChanged([]);
+
+      await env.expectCommandFailure(["link", "module", "offline-components"]);
+      env.expectOnlyChanged([]);
+
+      await env.expectCommandFailure([
+        "link",
+        "module",
+        "remote-components@^3.0.0",
+      ]);
+      env.expectOnlyChanged([]);
+    }
+  );
 });
@@ -5,9 +5,9 @@ import { TestEnvironment } from "../setup/test-helpers.js";
 describe("Content Creator Workflow", () => {
   let env;
 
-  beforeEach(async () => {
+  beforeEach(async (context) => {
     env = new TestEnvironment();
-    await env.setup();
+    await env.setup(context);
   });
 
   afterEach(async () => {
@@ -31,6 +31,20 @@ describe("Content Creator Workflow", () => {
     await env.expectFileContains("pages/about/hero.md", "# About Me");
   });
 
+  it("should only touch the target page when editing sections", async () => {
+    await env
+      .initProject("isolation-test", { singleSite: true })
+      .addPage("about")
+      .addPage("contact")
+      .addSection("intro", { page: "contact" });
+
+    await env.addSection("hero", { page: "about" });
+    env.expectOnlyChanged(["pages/about/hero.md", "pages/about/page.yml"]);
+
+    await env.setSection("hero", "# About Me", { page: "about" });
+    env.expectOnlyChanged(["pages/about/hero.md"]);
+  });
+
   it("should handle context-aware commands", async () => {
     await env.initProject("context-test", { singleSite: true });
 
@@ -0,0 +1,147 @@
+// tests/performance/scaling.test.js
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { TestEnvironment } from "../setup/enhanced-test-helpers.js";
+import { formatGrowthCurve } from "../setup/growth-curve.js";
+
+// Project sizes to measure at; e.g. UNIWEB_SCALING_SIZES=10,50 for a
+// quick local run
+const PAGE_COUNTS = sizesFromEnv("UNIWEB_SCALING_SIZES", [10, 100, 1000]);
+const NESTING_DEPTHS = sizesFromEnv("UNIWEB_NESTING_DEPTHS", [2, 8, 32]);
+// Growth at or beyond this exponent fails the suite (1 = linear)
+const MAX_EXPONENT = Number(process.env.UNIWEB_MAX_GROWTH) || 1.5;
+// Peak memory of any command (and its children) that fails the suite
+const MAX_RSS = (Number(process.env.UNIWEB_MAX_RSS_MB) || 512) * 1024 * 1024;
+// Fresh locale codes, one per timed `add locale` (runs + warmup per size):
+// common languages, then the private-use range qaa-qtz
+const LOCALES = [
+  ..."fr de es it pt nl sv da fi pl cs el hu ja ko zh ru tr uk he".split(" "),
+  ...privateUseLocales(),
+];
+
+function sizesFromEnv(name, defaults) {
+  return process.env[name]
+    ? process.env[name].split(",").map(Number)
+    : defaults;
+}
+
+function privateUseLocales() {
+  const codes = [];
+  for (const second of "abcdefghijklmnopqrst") {
+    for (const third of "abcdefghijklmnopqrstuvwxyz") {
+      codes.push(`q${second}${third}`);
+    }
+  }
+  return codes;
+}
+
+// Takes minutes at the default sizes, so it only runs through
+// `npm run benchmark` (or with UNIWEB_BENCHMARK=1)
+describe.runIf(process.env.UNIWEB_BENCHMARK)("CLI Scaling", () => {
+  let env;
+
+  beforeEach(async (context) => {
+    // Hashing the whole tree per command would grow with the project too
+    env = new TestEnvironment({ trackChanges: false });
+    await env.setup(context);
+  });
+
+  afterEach(async () => {
+    await env.cleanup();
+  });
+
+  async function reportAndCheck(perf, { results, curves }) {
+    console.log(
+      Object.entries(curves)
+        .map(([name, curve]) => formatGrowthCurve(name, curve))
+        .join("\n")
+    );
+
+    for (const name of Object.keys(curves)) {
+      perf.expectGrowthBelow(name, MAX_EXPONENT);
+      for (const { size } of results[name]) {
+        perf.expectPeakMemoryBelow(`${name}@${size}`, MAX_RSS);
+        await perf.expectNoRegression(`${name}@${size}`);
+      }
+    }
+  }
+
+  it("should scale page and section commands with the number of pages", async () => {
+    const runs = 3;
+    const warmup = 1;
+    expect(
+      PAGE_COUNTS.length * (runs + warmup),
+      `Too many UNIWEB_SCALING_SIZES for ${LOCALES.length} locale codes`
+    ).toBeLessThanOrEqual(LOCALES.length);
+
+    await env.initProject("scaling-site", { singleSite: true });
+    const perf = env.performance();
+    const locales = [...LOCALES];
+
+    const scaling = await perf.measureScaling({
+      sizes: PAGE_COUNTS,
+      grow: (from, to) => perf.growPages(from, to),
+      operations: {
+        "add-page": (i, size) => env.addPage(`extra-${size}-${i}`),
+        "add-section": (i, size) =>
+          env.addSection(`section-${size}-${i}`, { page: "test-page-0" }),
+        // Moves the sections added just before to the top of the page
+        "move-section": (i, size) =>
+          env.expectCommandSuccess([
+            "move",
+            "section",
+            `section-${size}-${i}`,
+            "--page",
+            "test-page-0",
+            "--position",
+            "1",
+          ]),
+        "add-locale": () => env.addLocale(locales.shift()),
+      },
+      runs,
+      warmup,
+      resources: true,
+    });
+
+    await reportAndCheck(perf, scaling);
+  }, 1800000);
+
+  it("should add pages in bulk as fast as the baseline", async () => {
+    await env.initProject("bulk-site", { singleSite: true });
+    const perf = env.performance();
+
+    await perf.benchmarkBulkOperations(50, { resources: true });
+    perf.expectPeakMemoryBelow("bulk-pages", MAX_RSS);
+    await perf.expectNoRegression("bulk-pages");
+  }, 600000);
+
+  it("should scale adding sections with the nesting depth", async () => {
+    await env.initProject("nesting-site", { singleSite: true });
+    await env.addPage("deep");
+    const perf = env.performance();
+
+    const scaling = await perf.measureScaling({
+      sizes: NESTING_DEPTHS,
+      // Each level is nested under the one before: level-0 > level-1 > ...
+      grow: async (from, to) => {
+        for (let depth = from; depth < to; depth++) {
+          await env.addSection(`level-${depth}`, {
+            page: "deep",
+            position: depth > 0 ? `under:level-${depth - 1}` : undefined,
+          });
+        }
+      },
+      operations: {
+        "add-nested-section": (i, depth) =>
+          env.addSection(`leaf-${depth}-${i}`, {
+            page: "deep",
+            position: `under:level-${depth - 1}`,
+          }),
+      },
+      runs: 5,
+      warmup: 1,
+      resources: true,
+    });
+
+    await reportAndCheck(perf, scaling);
+  }, 600000);
+});
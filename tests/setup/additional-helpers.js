@@ -0,0 +1,1249 @@
+// tests/setup/additional-helpers.js
+import fs from "fs-extra";
+import path from "path";
+import yaml from "yaml";
+import { expect } from "vitest";
+import { parseSection, splitFrontMatter } from "./section-parser.js";
+import { validateConfig } from "./config-schemas.js";
+import { SectionTree } from "./section-tree.js";
+import {
+  buildLocaleReport,
+  formatLocaleReport,
+  listSections,
+} from "./locale-report.js";
+import { pseudoLocalizeMarkdown } from "./pseudo-locale.js";
+import {
+  describeName,
+  failureSignature,
+  generateNames,
+  shrinkName,
+} from "./name-fuzzer.js";
+import { MockRegistry } from "./mock-registry.js";
+import { buildComponentModule } from "./component-module.js";
+import {
+  formatBytes,
+  formatStats,
+  percentile,
+  summarize,
+  summarizeResources,
+} from "./benchmark-stats.js";
+import { fitGrowthCurve, formatGrowthCurve } from "./growth-curve.js";
+import { saveTestMetrics } from "./perf-report.js";
+import { SAMPLING_SUPPORTED } from "./process-sampler.js";
+import {
+  baselineMode,
+  compareWithBaseline,
+  findBaseline,
+  readBaselines,
+  recordBaseline,
+} from "./perf-baseline.js";
+import {
+  buildComponentReport,
+  formatComponentReport,
+} from "./component-check.js";
+
+// === BATCH OPERATION HELPERS ===
+export class BatchOperations {
+  constructor(env) {
+    this.env = env;
+    this.operations = [];
+  }
+
+  addPage(name, options = {}) {
+    this.operations.push({ type: "addPage", name, options });
+    return this;
+  }
+
+  addSection(name, options = {}) {
+    this.operations.push({ type: "addSection", name, options });
+    return this;
+  }
+
+  setSection(name, content, options = {}) {
+    this.operations.push({ type: "setSection", name, content, options });
+    return this;
+  }
+
+  async execute() {
+    for (const op of this.operations) {
+      switch (op.type) {
+        case "addPage":
+          await this.env.addPage(op.name, op.options);
+          break;
+        case "addSection":
+          await this.env.addSection(op.name, op.options);
+          break;
+        case "setSection":
+          await this.env.setSection(op.name, op.content, op.options);
+          break;
+      }
+    }
+    return this.env;
+  }
+}
+
+// === CONTENT BUILDERS ===
+
+// `{ "button-primary": true, target: "_blank" }` -> `{button-primary target=_blank}`
+function formatAttributes(attributes) {
+  const tokens = Object.entries(attributes)
+    .filter(([, value]) => value !== false && value != null)
+    .map(([key, value]) => (value === true ? key : `${key}=${value}`));
+  return tokens.length > 0 ? `{${tokens.join(" ")}}` : "";
+}
+
+function formatList(items, ordered, indent, marker) {
+  const lines = [];
+  let number = 0;
+
+  for (const item of items) {
+    if (Array.isArray(item)) {
+      // Nest under the previous item, past the width of its marker
+      const width = ordered ? `${number}${marker} `.length : 2;
+      lines.push(formatList(item, ordered, indent + " ".repeat(width), marker));
+    } else {
+      number++;
+      lines.push(`${indent}${ordered ? number : ""}${marker} ${item}`);
+    }
+  }
+
+  return lines.join("\n");
+}
+export class ContentBuilder {
+  constructor() {
+    this.frontMatter = {};
+    this.body = [];
+  }
+
+  // Read a built (or CLI-written) section back into a builder, with one
+  // body entry per blank-line separated block, so it can be compared.
+  static fromMarkdown(text) {
+    const { frontMatter, body } = splitFrontMatter(text);
+    const builder = new ContentBuilder();
+    builder.frontMatter = frontMatter;
+    builder.body = body
+      .split(/\r?\n\s*\r?\n/)
+      .map((block) => block.trim())
+      .filter(Boolean);
+    return builder;
+  }
+
+  component(name) {
+    this.frontMatter.component = name;
+    return this;
+  }
+
+  param(key, value) {
+    this.frontMatter[key] = value;
+    return this;
+  }
+
+  title(text, attributes = {}) {
+    return this.heading(1, text, attributes);
+  }
+
+  paragraph(text) {
+    this.body.push(text);
+    return this;
+  }
+
+  heading(level, text, attributes = {}) {
+    const attrs = formatAttributes(attributes);
+    this.body.push(`${"#".repeat(level)} ${text}${attrs ? ` ${attrs}` : ""}`);
+    return this;
+  }
+
+  // Items may be strings or arrays; an array nests under the item before it.
+  // A list right after one of the same kind gets the other marker ("*" or
+  // "1)"), since Markdown would read two "-" lists as one.
+  list(items, options = {}) {
+    const [first, second] = options.ordered ? [".", ")"] : ["-", "*"];
+    const previous = this.body[this.body.length - 1] || "";
+    const previousMarker = previous.match(
+      options.ordered ? /^\d+([.)]) / : /^([-*]) /
+    )?.[1];
+    const marker = previousMarker === first ? second : first;
+
+    this.body.push(formatList(items, options.ordered, "", marker));
+    return this;
+  }
+
+  orderedList(items) {
+    return this.list(items, { ordered: true });
+  }
+
+  code(source, language = "") {
+    this.body.push(`\`\`\`${language}\n${source}\n\`\`\``);
+    return this;
+  }
+
+  blockquote(text) {
+    this.body.push(
+      text
+        .split("\n")
+        .map((line) => (line ? `> ${line}` : ">"))
+        .join("\n")
+    );
+    return this;
+  }
+
+  table(headers, rows) {
+    const row = (cells) =>
+      `| ${cells.map((cell) => String(cell).replace(/\|/g, "\\|")).join(" | ")} |`;
+    this.body.push(
+      [
+        row(headers),
+        `| ${headers.map(() => "---").join(" | ")} |`,
+        ...rows.map(row),
+      ].join("\n")
+    );
+    return this;
+  }
+
+  divider() {
+    this.body.push("***");
+    return this;
+  }
+
+  // Start a new sub-block of content within the same section
+  subBlock() {
+    this.body.push("---");
+    return this;
+  }
+
+  image(src, alt, attributes = {}) {
+    this.body.push(`![${alt}](${src})${formatAttributes(attributes)}`);
+    return this;
+  }
+
+  icon(name, attributes = {}) {
+    this.body.push(ContentBuilder.icon(name, attributes));
+    return this;
+  }
+
+  link(text, url, attributes = {}) {
+    this.body.push(`[${text}](${url})${formatAttributes(attributes)}`);
+    return this;
+  }
+
+  // Inline helpers, for use inside paragraph, list or heading text
+
+  static emphasis(text) {
+    return `*${text}*`;
+  }
+
+  static strong(text) {
+    return `**${text}**`;
+  }
+
+  static inlineCode(text) {
+    return `\`${text}\``;
+  }
+
+  static icon(name, attributes = {}) {
+    return `![${name}](icon:${name})${formatAttributes(attributes)}`;
+  }
+
+  static link(text, url, attributes = {}) {
+    return `[${text}](${url})${formatAttributes(attributes)}`;
+  }
+
+  build() {
+    // A body starting with a sub-block needs an empty front matter block,
+    // or its first `---` pair would read as front matter
+    let frontMatterString = "";
+    if (Object.keys(this.frontMatter).length > 0) {
+      frontMatterString = `---\n${yaml.stringify(this.frontMatter)}---\n\n`;
+    } else if (this.body[0] === "---") {
+      frontMatterString = "---\n---\n\n";
+    }
+
+    return frontMatterString + this.body.join("\n\n");
+  }
+}
+
+// === SCENARIO BUILDERS ===
+export class ScenarioBuilder {
+  constructor(env) {
+    this.env = env;
+  }
+
+  // Build a complete blog scenario
+  async createBlogScenario() {
+    await this.env
+      .initProject("blog", { singleSite: true })
+      .addPage("blog")
+      .addPage("about")
+      .addPage("contact");
+
+    const blogContent = new ContentBuilder()
+      .component("BlogList")
+      .param("postsPerPage", 10)
+      .title("Latest Posts")
+      .paragraph("Stay updated with our latest articles and insights")
+      .build();
+
+    await this.env.setSection("hero", blogContent, { page: "blog" });
+
+    return this.env;
+  }
+
+  // Build a portfolio scenario
+  async createPortfolioScenario() {
+    await this.env
+      .initProject("portfolio", { singleSite: true })
+      .addPage("work")
+      .addPage("about")
+      .addPage("contact");
+
+    const sections = [
+      {
+        name: "hero",
+        page: "index",
+        content: this.createHeroContent("John Doe", "Creative Developer"),
+      },
+      {
+        name: "skills",
+        page: "about",
+        content: this.createSkillsContent(["React", "Node.js", "Design"]),
+      },
+      { name: "projects", page: "work", content: this.createProjectsContent() },
+    ];
+
+    for (const section of sections) {
+      await this.env.setSection(section.name, section.content, {
+        page: section.page,
+      });
+    }
+
+    return this.env;
+  }
+
+  // Build a multilingual e-commerce scenario
+  async createEcommerceScenario() {
+    await this.env
+      .initProject("shop", { singleSite: true })
+      .addPage("products")
+      .addPage("cart")
+      .addPage("checkout")
+      .addLocale("fr,es");
+
+    // Add product data
+    const productData = {
+      products: [
+        { id: 1, name: "Product 1", price: 99.99 },
+        { id: 2, name: "Product 2", price: 149.99 },
+      ],
+    };
+
+    await this.env.writeJson("data/products.json", productData);
+
+    return this.env;
+  }
+
+  createHeroContent(name, title) {
+    return new ContentBuilder()
+      .component("HeroSection")
+      .param("layout", "centered")
+      .param("theme", "dark")
+      .title(`Hello, I'm ${name}`)
+      .paragraph(
+        `${title} passionate about creating amazing digital experiences`
+      )
+      .link("View My Work", "/work", { "button-primary": true })
+      .build();
+  }
+
+  createSkillsContent(skills) {
+    return new ContentBuilder()
+      .component("SkillsGrid")
+      .param("columns", 3)
+      .title("My Skills")
+      .paragraph("Technologies and tools I work with")
+      .list(skills)
+      .build();
+  }
+
+  createProjectsContent() {
+    return new ContentBuilder()
+      .component("ProjectGrid")
+      .param("layout", "masonry")
+      .title("Featured Projects")
+      .heading(2, "Project Alpha")
+      .paragraph("A revolutionary web application built with React and Node.js")
+      .image("/images/project-alpha.jpg", "Project Alpha Screenshot")
+      .heading(2, "Project Beta")
+      .paragraph("Mobile-first e-commerce platform with advanced analytics")
+      .image("/images/project-beta.jpg", "Project Beta Screenshot")
+      .build();
+  }
+}
+
+// === ASSERTION CHAIN HELPERS ===
+export class AssertionChain {
+  constructor(env) {
+    this.env = env;
+    this.assertions = [];
+  }
+
+  fileExists(path, message) {
+    this.assertions.push(async () => {
+      await this.env.expectFileExists(path, message);
+    });
+    return this;
+  }
+
+  fileContains(path, content, message) {
+    this.assertions.push(async () => {
+      await this.env.expectFileContains(path, content, message);
+    });
+    return this;
+  }
+
+  yamlProperty(path, property, value, message) {
+    this.assertions.push(async () => {
+      await this.env.expectYamlProperty(path, property, value, message);
+    });
+    return this;
+  }
+
+  directoryStructure(expectedStructure) {
+    this.assertions.push(async () => {
+      const actualStructure = await this.env.getDirectoryStructure();
+      expect(actualStructure).toMatchObject(expectedStructure);
+    });
+    return this;
+  }
+
+  async verify() {
+    for (const assertion of this.assertions) {
+      await assertion();
+    }
+  }
+}
+
+// === PERFORMANCE HELPERS ===
+/**
+ * Timings of CLI operations. Each metric is a distribution (see
+ * `summarize`): operations can be run several times after some warmup
+ * runs, and assertions check a percentile rather than a single sample.
+ */
+export class PerformanceHelper {
+  constructor(env) {
+    this.env = env;
+    this.metrics = {};
+    // Baseline comparisons made by expectNoRegression, by metric
+    this.comparisons = {};
+    // Growth curves fitted by measureScaling, by operation
+    this.curves = {};
+  }
+
+  // `warmup` runs are discarded, then `runs` are timed with a
+  // high-resolution clock. The operation gets the iteration number
+  // (counting warmup runs) so repeated runs can use fresh names.
+  // `resources: true` also samples the memory and CPU of the CLI commands
+  // each run makes (see sampleResources in TestEnvironment).
+  async timeOperation(name, operation, options = {}) {
+    const { warmup = 0, runs = 1, resources = false } = options;
+    const sampling = this.env.sampleResources;
+    const samples = [];
+    const usage = [];
+    let result;
+
+    if (resources) this.env.sampleResources = true;
+    try {
+      for (let i = 0; i < warmup + runs; i++) {
+        const firstCommand = this.env.transcript.length;
+        const start = performance.now();
+        result = await operation(i);
+        const duration = performance.now() - start;
+        if (i < warmup) continue;
+
+        samples.push(duration);
+        const commands = this.env.transcript.slice(firstCommand);
+        if (commands.some((entry) => entry.resources)) {
+          usage.push(combineResources(commands));
+        }
+      }
+    } finally {
+      this.env.sampleResources = sampling;
+    }
+
+    const stats = summarize(samples);
+    if (usage.length > 0) stats.resources = summarizeResources(usage);
+    this.metrics[name] = stats;
+    return { result, duration: stats.median, stats };
+  }
+
+  // Checks the 95th percentile by default; `{ percentile: 50 }` for the median
+  expectOperationFasterThan(operationName, maxMs, options = {}) {
+    const { percentile: p = 95 } = options;
+    const stats = this.metrics[operationName];
+    expect(stats, `No timings recorded for ${operationName}`).toBeDefined();
+
+    const value = percentile(
+      [...stats.samples].sort((a, b) => a - b),
+      p
+    );
+    expect(
+      value,
+      `Expected p${p} of ${operationName} under ${maxMs}ms, got ${value.toFixed(
+        1
+      )}ms: ${formatStats(stats)}`
+    ).toBeLessThan(maxMs);
+  }
+
+  // Fails when any timed run's commands peaked above `maxBytes` of
+  // resident memory. Needs `resources: true`; a no-op without /proc.
+  expectPeakMemoryBelow(operationName, maxBytes) {
+    if (!SAMPLING_SUPPORTED) return;
+    const resources = this.metrics[operationName]?.resources;
+    expect(
+      resources,
+      `No memory samples for ${operationName}; time it with { resources: true }`
+    ).toBeDefined();
+    expect(
+      resources.peakRss,
+      `Expected ${operationName} to peak under ${formatBytes(
+        maxBytes
+      )}, but it reached ${formatBytes(resources.peakRss)}`
+    ).toBeLessThan(maxBytes);
+  }
+
+  // Same for the median CPU time (user + system) of a run
+  expectCpuTimeBelow(operationName, maxMs) {
+    if (!SAMPLING_SUPPORTED) return;
+    const resources = this.metrics[operationName]?.resources;
+    expect(
+      resources,
+      `No CPU samples for ${operationName}; time it with { resources: true }`
+    ).toBeDefined();
+    expect(
+      resources.cpuTime,
+      `Expected ${operationName} to use under ${maxMs}ms of CPU, but it used ${resources.cpuTime}ms`
+    ).toBeLessThan(maxMs);
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  // === BASELINES ===
+
+  cliVersion() {
+    return this.env.cli?.version || "unknown";
+  }
+
+  // How a metric compares with its baseline (see perf-baseline.js), or
+  // null when none has been recorded
+  async compareToBaseline(name, options = {}) {
+    const baselines = await readBaselines(options.file);
+    const baseline = findBaseline(baselines, this.cliVersion(), name);
+    return baseline
+      ? compareWithBaseline(this.metrics[name], baseline, options)
+      : null;
+  }
+
+  // Fails when the metric's median (or `options.statistic`) is more than
+  // `options.tolerance` percent slower than the baseline. With
+  // UNIWEB_PERF_BASELINE=update, records the metric as the new baseline
+  // for this CLI version instead. A metric without any baseline fails in
+  // benchmark runs (UNIWEB_BENCHMARK), so the gate can't pass silently,
+  // and only warns elsewhere.
+  async expectNoRegression(name, options = {}) {
+    const stats = this.metrics[name];
+    expect(stats, `No timings recorded for ${name}`).toBeDefined();
+
+    if (baselineMode() === "update") {
+      await recordBaseline(this.cliVersion(), name, stats, options.file);
+      return null;
+    }
+
+    const comparison = await this.compareToBaseline(name, options);
+    if (!comparison) {
+      const missing = `No performance baseline for ${name}; record one with npm run benchmark:baseline and commit tests/performance/baselines.json`;
+      if (process.env.UNIWEB_BENCHMARK) throw new Error(missing);
+      console.warn(`Warning: ${missing}`);
+      return null;
+    }
+    this.comparisons[name] = comparison;
+
+    const { statistic, current, baseline, change, tolerance } = comparison;
+    expect(
+      comparison.regressed,
+      `${name} regressed: ${statistic} ${current.toFixed(
+        1
+      )}ms vs ${baseline.toFixed(1)}ms for uniweb ${
+        comparison.baselineVersion
+      } (+${(change * 100).toFixed(0)}%, tolerance ${tolerance}%)`
+    ).toBe(false);
+    return comparison;
+  }
+
+  // One line per metric, e.g. for console output
+  summary() {
+    return Object.entries(this.metrics)
+      .map(([name, stats]) => `${name}: ${formatStats(stats)}`)
+      .join("\n");
+  }
+
+  // Times each `add page` on its own and records the distribution as
+  // "bulk-pages" (or `options.name`). Pages are numbered from
+  // `options.startAt` (0); warmup runs add pages too, so test-page-0 up to
+  // test-page-<warmup + operationCount - 1> exist afterwards.
+  async benchmarkBulkOperations(operationCount = 100, options = {}) {
+    const { name = "bulk-pages", startAt = 0 } = options;
+    const start = performance.now();
+    const { stats } = await this.timeOperation(
+      name,
+      (i) => this.env.addPage(`test-page-${startAt + i}`),
+      {
+        warmup: options.warmup,
+        runs: operationCount,
+        resources: options.resources,
+      }
+    );
+
+    return {
+      totalTime: performance.now() - start,
+      avgTimePerOperation: stats.mean,
+      operationCount,
+      perOperation: stats,
+    };
+  }
+
+  // === SCALING ===
+
+  /**
+   * Time `operations` at increasing project sizes. Before each size,
+   * `grow(from, to)` brings the project from the previous size (0 at
+   * first) to it; then each operation `(i, size)` is timed over `runs`
+   * runs after `warmup` runs and recorded as "<name>@<size>".
+   *
+   * Returns the stats per operation and size, and a growth curve per
+   * operation fitted to the medians (see fitGrowthCurve); the curves are
+   * also kept in `this.curves` for expectGrowthBelow.
+   */
+  async measureScaling(options) {
+    const {
+      sizes,
+      grow,
+      operations,
+      runs = 5,
+      warmup = 1,
+      resources,
+    } = options;
+    const results = {};
+    let current = 0;
+
+    for (const size of [...sizes].sort((a, b) => a - b)) {
+      await grow(current, size);
+      current = size;
+
+      for (const [name, operation] of Object.entries(operations)) {
+        const { stats } = await this.timeOperation(
+          `${name}@${size}`,
+          (i) => operation(i, size),
+          { warmup, runs, resources }
+        );
+        results[name] = [...(results[name] || []), { size, stats }];
+      }
+    }
+
+    const curves = {};
+    for (const [name, points] of Object.entries(results)) {
+      curves[name] = fitGrowthCurve(
+        points.map(({ size, stats }) => ({ size, time: stats.median }))
+      );
+    }
+    this.curves = { ...this.curves, ...curves };
+    return { results, curves };
+  }
+
+  // Grow function for measureScaling: add pages up to `to`, timed as
+  // "bulk-pages@<to>"
+  growPages(from, to) {
+    return this.benchmarkBulkOperations(to - from, {
+      name: `bulk-pages@${to}`,
+      startAt: from,
+    });
+  }
+
+  // Fails when an operation's fitted exponent reaches `maxExponent`
+  // (1 = linear, 2 = quadratic)
+  expectGrowthBelow(operationName, maxExponent) {
+    const curve = this.curves[operationName];
+    expect(
+      curve,
+      `No growth curve measured for ${operationName}`
+    ).toBeDefined();
+    expect(
+      curve.exponent,
+      `Expected ${operationName} to grow slower than n^${maxExponent}: ${formatGrowthCurve(
+        operationName,
+        curve
+      )}`
+    ).toBeLessThan(maxExponent);
+  }
+}
+
+// Resource use of one timed run from its transcript entries: commands run
+// one after another, so the peak is the largest and CPU times add up
+function combineResources(commands) {
+  const sampled = commands.filter((entry) => entry.resources);
+  return {
+    peakRss: Math.max(...sampled.map((entry) => entry.resources.peakRss)),
+    cpuTime: sampled.reduce((sum, entry) => sum + entry.resources.cpuTime, 0),
+  };
+}
+
+// === SECTION STRUCTURE HELPERS ===
+
+// True when every field of `expected` matches `actual`; `attrs` only needs
+// to be a subset of the actual attribute tokens.
+function matchesExpected(actual, expected) {
+  return Object.entries(expected).every(([key, value]) => {
+    if (key === "attrs") {
+      return value.every((attr) => actual.attrs.includes(attr));
+    }
+    return JSON.stringify(actual[key]) === JSON.stringify(value);
+  });
+}
+
+function describeItems(items, describe) {
+  return items.length > 0 ? items.map(describe).join(", ") : "none";
+}
+
+// === NAME FUZZING HELPERS ===
+
+// Page that `add section` probes target; created before fuzzing starts
+const FUZZ_PAGE = "fuzz-target";
+
+function formatFuzzReport(report) {
+  const lines = [
+    `Name fuzzing (seed ${report.seed}): ${report.failures.length} of ${report.probes} probes failed`,
+  ];
+  for (const failure of report.failures) {
+    const shrunk =
+      failure.shrunk !== failure.name
+        ? ` (shrunk to ${describeName(failure.shrunk)})`
+        : "";
+    lines.push(
+      `  add ${failure.kind} ${describeName(failure.name)} [${
+        failure.className
+      }]${shrunk}: ${failure.reason} - ${failure.details.slice(0, 160)}`
+    );
+  }
+  return lines.join("\n");
+}
+
+// === TEST EXTENSION METHODS ===
+export const TestEnvironmentExtensions = {
+  // Batch operations
+  batch() {
+    return new BatchOperations(this);
+  },
+
+  // Content building
+  buildContent() {
+    return new ContentBuilder();
+  },
+
+  // Scenario building
+  scenarios() {
+    return new ScenarioBuilder(this);
+  },
+
+  // Assertion chaining
+  assert() {
+    return new AssertionChain(this);
+  },
+
+  // Performance testing
+  // Metrics are saved on cleanup() for the performance reporter
+  performance() {
+    const perf = new PerformanceHelper(this);
+    this.disposers.push(() =>
+      saveTestMetrics(this.testName || "unknown test", perf)
+    );
+    return perf;
+  },
+
+  // JSON file operations
+  async writeJson(filePath, data, baseDir = this.cwd) {
+    const fullPath = path.join(baseDir, filePath);
+    await fs.ensureDir(path.dirname(fullPath));
+    await fs.writeJson(fullPath, data, { spaces: 2 });
+  },
+
+  async readJson(filePath, baseDir = this.cwd) {
+    return fs.readJson(path.join(baseDir, filePath));
+  },
+
+  // Section structure assertions
+  async readSection(filePath) {
+    return parseSection(await this.readFile(filePath));
+  },
+
+  async expectSectionHeading(filePath, level, text, message) {
+    const { headings } = await this.readSection(filePath);
+    const found = headings.some((h) => h.level === level && h.text === text);
+    expect(
+      found,
+      message ||
+        `Expected ${filePath} to have level ${level} heading "${text}". ` +
+          `Found: ${describeItems(headings, (h) => `h${h.level} "${h.text}"`)}`
+    ).toBe(true);
+  },
+
+  async expectSectionParagraph(filePath, text, message) {
+    const { paragraphs } = await this.readSection(filePath);
+    const found = paragraphs.some((p) => p.text.includes(text));
+    expect(
+      found,
+      message || `Expected a paragraph in ${filePath} to contain "${text}"`
+    ).toBe(true);
+  },
+
+  async expectSectionList(filePath, items, message) {
+    const { lists } = await this.readSection(filePath);
+    const actual = lists.map((list) => list.items.map((item) => item.text));
+    expect(
+      actual,
+      message || `Expected ${filePath} to have the list ${items.join(", ")}`
+    ).toContainEqual(items);
+  },
+
+  async expectSectionLink(filePath, expected, message) {
+    const { links } = await this.readSection(filePath);
+    const found = links.some((link) => matchesExpected(link, expected));
+    expect(
+      found,
+      message ||
+        `Expected ${filePath} to have a link matching ${JSON.stringify(
+          expected
+        )}. Found: ${describeItems(links, (l) => JSON.stringify(l))}`
+    ).toBe(true);
+  },
+
+  async expectSectionImage(filePath, expected, message) {
+    const { images } = await this.readSection(filePath);
+    const found = images.some((image) => matchesExpected(image, expected));
+    expect(
+      found,
+      message ||
+        `Expected ${filePath} to have an image matching ${JSON.stringify(
+          expected
+        )}. Found: ${describeItems(images, (i) => JSON.stringify(i))}`
+    ).toBe(true);
+  },
+
+  // Match any parsed block by its fields, e.g. { type: "code", language: "js" }
+  // or { type: "table", headers: ["Name", "Price"] }
+  async expectSectionBlock(filePath, expected, message) {
+    const { blocks } = await this.readSection(filePath);
+    const found = blocks.some((block) => matchesExpected(block, expected));
+    expect(
+      found,
+      message ||
+        `Expected ${filePath} to have a block matching ${JSON.stringify(
+          expected
+        )}. Found: ${describeItems(blocks, (b) => b.type)}`
+    ).toBe(true);
+  },
+
+  async expectSectionFrontMatter(filePath, property, value, message) {
+    const { frontMatter } = await this.readSection(filePath);
+    expect(
+      this.getNestedProperty(frontMatter, property),
+      message ||
+        `Expected ${filePath} front matter ${property} to equal ${value}`
+    ).toEqual(value);
+  },
+
+  // Config schema validation
+  async expectValidConfig(kind, filePath, message) {
+    await this.expectFileExists(filePath);
+    const errors = validateConfig(kind, await this.readFile(filePath));
+    const details = errors
+      .map(
+        (e) => `  ${e.path}${e.line ? ` (line ${e.line})` : ""}: ${e.message}`
+      )
+      .join("\n");
+    expect(errors, message || `Invalid ${filePath}:\n${details}`).toEqual([]);
+  },
+
+  async expectValidSiteConfig(filePath = "site.yml") {
+    await this.expectValidConfig("site", filePath);
+  },
+
+  // Accepts the page directory ("pages/about") or its page.yml
+  async expectValidPageConfig(pagePath) {
+    const filePath = pagePath.endsWith(".yml")
+      ? pagePath
+      : `${pagePath}/page.yml`;
+    await this.expectValidConfig("page", filePath);
+  },
+
+  async expectValidModuleConfig(filePath) {
+    await this.expectValidConfig("module", filePath);
+  },
+
+  // A component's meta.yml; accepts the component directory too
+  async expectValidComponentConfig(componentPath) {
+    const filePath = componentPath.endsWith(".yml")
+      ? componentPath
+      : `${componentPath}/meta.yml`;
+    await this.expectValidConfig("component", filePath);
+  },
+
+  // Section hierarchy. Accepts the page directory or its page.yml
+  async readSectionTree(pagePath) {
+    const filePath = pagePath.endsWith(".yml")
+      ? pagePath
+      : `${pagePath}/page.yml`;
+    const pageConfig = await this.readYaml(filePath);
+    return new SectionTree(pageConfig?.sections, filePath);
+  },
+
+  async expectSectionTree(pagePath, expected, message) {
+    const tree = await this.readSectionTree(pagePath);
+    tree.expectSectionTree(expected, message);
+    return tree;
+  },
+
+  // Locale parity. `options.site` targets sites/<site>, like the CLI flag
+  async localeReport(options = {}) {
+    const siteDir = path.resolve(
+      this.cwd,
+      options.site ? `sites/${options.site}` : "."
+    );
+    return buildLocaleReport(siteDir, {
+      locales: options.locales,
+      translationSources: this.translationSources,
+    });
+  },
+
+  async expectLocaleCoverage(locale, options = {}) {
+    const {
+      minPercent = 100,
+      allowStale = true,
+      allowOrphaned = true,
+    } = options;
+    const report = await this.localeReport(options);
+    const result = report.locales[locale];
+    const summary = formatLocaleReport(report);
+
+    expect(result, `No locales/${locale} directory\n${summary}`).toBeDefined();
+    // The report's coverage is rounded; compare the exact share
+    const coverage =
+      result.total > 0 ? (result.translated / result.total) * 100 : 100;
+    expect(
+      coverage,
+      `Expected ${locale} to cover at least ${minPercent}% of sections\n${summary}`
+    ).toBeGreaterThanOrEqual(minPercent);
+    if (!allowStale) {
+      expect(result.stale, `Stale ${locale} translations\n${summary}`).toEqual(
+        []
+      );
+    }
+    if (!allowOrphaned) {
+      expect(
+        result.orphaned,
+        `Orphaned ${locale} translations\n${summary}`
+      ).toEqual([]);
+    }
+    return result;
+  },
+
+  // Write a pseudo-localized copy of every default-language section into
+  // each locale through `set section --locale`, adding missing locales
+  // first. Each copy must come back byte for byte, so the CLI can't mangle
+  // non-ASCII text unnoticed. Returns the written translation paths.
+  async pseudoLocalize(locales, options = {}) {
+    const localeList = Array.isArray(locales) ? locales : locales.split(",");
+    const siteBase = options.site ? `sites/${options.site}/` : "";
+
+    const missing = [];
+    for (const locale of localeList) {
+      if (!(await this.fileExists(`${siteBase}locales/${locale}`))) {
+        missing.push(locale);
+      }
+    }
+    if (missing.length > 0) {
+      await this.addLocale(missing.join(","), { site: options.site });
+    }
+
+    const written = [];
+    const sections = await listSections(
+      path.resolve(this.cwd, `${siteBase}pages`)
+    );
+    for (const file of sections) {
+      const page = path.posix.dirname(file);
+      const name = path.posix.basename(file, ".md");
+      const content = pseudoLocalizeMarkdown(
+        await this.readFile(`${siteBase}pages/${file}`)
+      );
+
+      for (const locale of localeList) {
+        await this.setSection(name, content, {
+          page: page === "." ? undefined : page,
+          locale,
+          site: options.site,
+        });
+
+        const target = `${siteBase}locales/${locale}/pages/${file}`;
+        expect(
+          (await this.readFile(target)).trimEnd(),
+          `The CLI changed the pseudo-localized text of ${target}`
+        ).toBe(content.trimEnd());
+        written.push(target);
+      }
+    }
+
+    return written;
+  },
+
+  // Name fuzzing. Run one `add <kind> <name>` and check the outcome: either
+  // an "Invalid <kind> name" error, or success that created exactly the
+  // expected entry directly inside its parent. Returns null when the name
+  // was handled, otherwise `{ reason, details }`.
+  async probeName(kind, name, options = {}) {
+    const siteBase = options.site ? `sites/${options.site}/` : "";
+    const args = ["add", kind, name];
+    if (kind === "section") args.push("--page", FUZZ_PAGE);
+    if (options.site) args.push("--site", options.site);
+
+    const result = await this.runUniweb(args);
+
+    if (result.timedOut) {
+      return { reason: "timeout", details: result.error };
+    }
+    if (!result.success) {
+      const output = result.stderr || result.error || "";
+      if (output.includes(`Invalid ${kind} name`)) return null;
+      // Crashes print a stack; the line naming the error says the most
+      const lines = output.trim().split("\n");
+      return {
+        reason: "unexpected-error",
+        details:
+          lines.find((line) => /error/i.test(line)) ||
+          lines[0] ||
+          `exit code ${result.exitCode}`,
+      };
+    }
+
+    const parent = {
+      page: `${siteBase}pages`,
+      section: `${siteBase}pages/${FUZZ_PAGE}`,
+      locale: `${siteBase}locales`,
+    }[kind];
+    const parentDir = path.resolve(this.cwd, parent);
+    const target = path.resolve(
+      parentDir,
+      kind === "section" ? `${name}.md` : name
+    );
+    const relativeTarget = path.relative(this.cwd, target);
+
+    if (path.dirname(target) !== parentDir) {
+      return {
+        reason: "unsafe-path",
+        details: `accepted a name that resolves to ${relativeTarget || "."}`,
+      };
+    }
+
+    let created = false;
+    if (kind === "page") {
+      created = await fs.pathExists(path.join(target, "page.yml"));
+    } else if (kind === "section") {
+      const pageConfig = await this.readYaml(`${parent}/page.yml`);
+      created =
+        (await fs.pathExists(target)) &&
+        new SectionTree(pageConfig?.sections).find(name) !== null;
+    } else {
+      created =
+        (await fs.pathExists(target)) && (await fs.stat(target)).isDirectory();
+    }
+    if (!created) {
+      return {
+        reason: "missing-output",
+        details: `succeeded but ${relativeTarget} was not created`,
+      };
+    }
+
+    const allowed = (file) =>
+      kind === "section"
+        ? [relativeTarget, `${parent}/page.yml`].includes(file)
+        : file.startsWith(`${relativeTarget}/`);
+    const { added, modified, deleted } = this.lastChanges;
+    const stray = [...added, ...modified, ...deleted].filter(
+      (file) => !allowed(file)
+    );
+    if (stray.length > 0) {
+      return {
+        reason: "stray-changes",
+        details: `also changed ${stray.join(", ")}`,
+      };
+    }
+
+    return null;
+  },
+
+  // Feed generated names (see name-fuzzer.js) to `add page`, `add section`
+  // and `add locale`, each from a fresh copy of the current project, and
+  // shrink every failing name. `UNIWEB_FUZZ_SEED` overrides the seed.
+  async fuzzNames(options = {}) {
+    const {
+      kinds = ["page", "section", "locale"],
+      seed = Number(process.env.UNIWEB_FUZZ_SEED) || 1,
+      maxShrinkRuns = 50,
+    } = options;
+    const names = generateNames({ ...options, seed });
+
+    if (kinds.includes("section")) {
+      await this.addPage(FUZZ_PAGE, { site: options.site });
+    }
+
+    // Snapshot the project once and restore it before every probe;
+    // node_modules is left in place rather than copied each time
+    const baseline = `${this.tempDir}.fuzz-baseline`;
+    const keep = (src) => path.basename(src) !== "node_modules";
+    const restore = async () => {
+      for (const entry of await fs.readdir(this.cwd)) {
+        if (keep(entry)) await fs.remove(path.join(this.cwd, entry));
+      }
+      await fs.copy(baseline, this.cwd);
+    };
+    await fs.copy(this.cwd, baseline, { filter: keep });
+    const probe = async (kind, name) => {
+      await restore();
+      return this.probeName(kind, name, options);
+    };
+
+    const report = { seed, probes: 0, failures: [] };
+    try {
+      for (const kind of kinds) {
+        for (const { className, name } of names) {
+          report.probes++;
+          const failure = await probe(kind, name);
+          if (!failure) continue;
+
+          // Only candidates failing the same way count as smaller cases
+          const signature = failureSignature(failure);
+          const shrunk = await shrinkName(
+            name,
+            async (candidate) => {
+              const other = await probe(kind, candidate);
+              return other !== null && failureSignature(other) === signature;
+            },
+            { maxRuns: maxShrinkRuns }
+          );
+          report.failures.push({ kind, className, name, shrunk, ...failure });
+        }
+      }
+    } finally {
+      await restore();
+      await fs.remove(baseline);
+    }
+
+    report.format = () => formatFuzzReport(report);
+    return report;
+  },
+
+  async expectNamesHandled(options = {}) {
+    const report = await this.fuzzNames(options);
+    expect(report.failures.length, report.format()).toBe(0);
+    return report;
+  },
+
+  // Start a mock module registry for `link module` and point the CLI at
+  // it through UNIWEB_REGISTRY and npm_config_registry. It is stopped by
+  // cleanup().
+  async startMockRegistry() {
+    const registry = new MockRegistry({ dir: `${this.tempDir}.registry` });
+    await registry.start();
+    this.commandEnv.UNIWEB_REGISTRY = registry.url;
+    this.commandEnv.npm_config_registry = registry.url;
+    this.disposers.push(() => registry.stop());
+    this.registry = registry;
+    return registry;
+  },
+
+  // Component resolution. Checks the sections of the current site (or
+  // sites/<site>) against the modules its site.yml links; see
+  // buildComponentReport for `ignore` and `allowUndeclared`.
+  async componentReport(options = {}) {
+    const siteDir = options.site
+      ? path.resolve(this.cwd, `sites/${options.site}`)
+      : await this.findUp("site.yml");
+    expect(siteDir, `No site.yml at or above ${this.cwd}`).toBeTruthy();
+    const projectDir =
+      (await this.findUp("uniweb.config.js", siteDir)) || siteDir;
+    const siteConfig = yaml.parse(
+      await fs.readFile(path.join(siteDir, "site.yml"), "utf8")
+    );
+
+    return buildComponentReport({
+      ...options,
+      siteDir,
+      projectDir,
+      modules: siteConfig?.modules || [],
+    });
+  },
+
+  async expectComponentsResolved(options = {}) {
+    const report = await this.componentReport(options);
+    expect(report.issues.length, formatComponentReport(report)).toBe(0);
+    return report;
+  },
+
+  // Closest directory at or above `from` (within the temp dir) that
+  // contains `file`; null if there is none
+  async findUp(file, from = this.cwd) {
+    for (let dir = path.resolve(from); ; dir = path.dirname(dir)) {
+      if (await fs.pathExists(path.join(dir, file))) return dir;
+      if (dir === this.tempDir || dir === path.dirname(dir)) return null;
+    }
+  },
+
+  // Advanced structure verification
+  async expectProjectType(type) {
+    switch (type) {
+      case "blog":
+        await this.expectFilesExist(
+          "pages/blog",
+          "pages/about",
+          "pages/contact"
+        );
+        break;
+      case "portfolio":
+        await this.expectFilesExist(
+          "pages/work",
+          "pages/about",
+          "pages/contact"
+        );
+        break;
+      case "ecommerce":
+        await this.expectFilesExist(
+          "pages/products",
+          "pages/cart",
+          "pages/checkout"
+        );
+        break;
+    }
+  },
+
+  // Mock external dependencies
+  // Write a component module into src/<name> of the current project: a
+  // YAML module.yml plus meta.yml and a stub per component. See
+  // buildComponentModule for the component spec. Returns the file map.
+  async mockComponentLibrary(name, components, options = {}) {
+    const files = buildComponentModule(name, components, options);
+
+    for (const [file, content] of Object.entries(files)) {
+      await fs.outputFile(path.join(this.cwd, "src", name, file), content);
+    }
+
+    return files;
+  },
+};
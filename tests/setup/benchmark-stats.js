@@ -0,0 +1,72 @@
+// tests/setup/benchmark-stats.js
+
+/**
+ * Value below which `p` percent of the sorted samples fall, interpolating
+ * linearly between the two nearest ranks.
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Distribution of a set of timings (ms): run count, min, max, mean,
+ * median, p95 and sample standard deviation. The raw samples are kept in
+ * run order.
+ */
+export function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const runs = samples.length;
+  const mean = samples.reduce((sum, value) => sum + value, 0) / runs;
+  const variance =
+    runs > 1
+      ? samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+        (runs - 1)
+      : 0;
+
+  return {
+    runs,
+    min: sorted[0],
+    max: sorted[runs - 1],
+    mean,
+    median: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    stddev: Math.sqrt(variance),
+    samples: [...samples],
+  };
+}
+
+/**
+ * Memory and CPU use over timed runs, each `{ peakRss, cpuTime }`: the
+ * highest peak RSS (bytes) of any run and the median CPU time (ms) of a
+ * run, plus the runs themselves.
+ */
+export function summarizeResources(usage) {
+  const cpuTimes = usage.map((run) => run.cpuTime).sort((a, b) => a - b);
+  return {
+    peakRss: Math.max(...usage.map((run) => run.peakRss)),
+    cpuTime: percentile(cpuTimes, 50),
+    runs: usage,
+  };
+}
+
+// "median 12.3ms, p95 15.0ms, min 11.8ms, stddev 1.2ms (20 runs)", plus
+// ", peak rss 48.2MB, cpu 90ms" when resources were sampled
+export function formatStats(stats) {
+  const ms = (value) => `${value.toFixed(1)}ms`;
+  const timing = `median ${ms(stats.median)}, p95 ${ms(stats.p95)}, min ${ms(
+    stats.min
+  )}, stddev ${ms(stats.stddev)} (${stats.runs} runs)`;
+  if (!stats.resources) return timing;
+
+  const { peakRss, cpuTime } = stats.resources;
+  return `${timing}, peak rss ${formatBytes(peakRss)}, cpu ${cpuTime}ms`;
+}
+
+export function formatBytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
@@ -0,0 +1,168 @@
+// tests/setup/cli-binary.js
+import { execa } from "execa";
+import crypto from "crypto";
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cacheDir = path.resolve(__dirname, "../../.cache/uniweb-cli");
+
+const JS_EXTENSIONS = [".js", ".mjs", ".cjs"];
+
+// Resolutions are shared by every environment in the worker, so `--version`
+// and tarball unpacking only happen once per binary.
+const resolved = new Map();
+
+/**
+ * Resolve the uniweb CLI binary that tests should run.
+ *
+ * `bin` (or the UNIWEB_BIN env var) may point at:
+ * - an executable or JS bin script, run directly or through node;
+ * - a local checkout of the CLI, whose package.json `bin` entry is used;
+ * - an `npm pack` tarball, unpacked and installed into .cache/uniweb-cli.
+ *
+ * Without either, the `uniweb` found on PATH is used. When `version` (or
+ * UNIWEB_VERSION) is set, resolution fails unless the binary reports it.
+ *
+ * @returns {Promise<{ command: string, args: string[], source: string,
+ *   location: string, version: string | null }>}
+ */
+export async function resolveUniwebBinary(options = {}) {
+  const bin = options.bin || process.env.UNIWEB_BIN || null;
+  const expectedVersion = options.version || process.env.UNIWEB_VERSION || null;
+  const key = `${bin || "PATH"}@${expectedVersion || "*"}`;
+
+  if (!resolved.has(key)) {
+    resolved.set(key, resolveBinary(bin, expectedVersion));
+  }
+
+  try {
+    return await resolved.get(key);
+  } catch (error) {
+    // Let a later environment retry, e.g. after the tarball was rebuilt.
+    resolved.delete(key);
+    throw error;
+  }
+}
+
+async function resolveBinary(bin, expectedVersion) {
+  const binary = bin ? await locateBinary(path.resolve(bin)) : fromPath();
+  binary.version = await readVersion(binary);
+
+  if (expectedVersion && binary.version !== expectedVersion) {
+    throw new Error(
+      `Expected uniweb CLI ${expectedVersion} but ${binary.source} ${
+        binary.location
+      } reports ${binary.version || "no version"}`
+    );
+  }
+
+  return binary;
+}
+
+function fromPath() {
+  return { command: "uniweb", args: [], source: "path", location: "uniweb" };
+}
+
+async function locateBinary(location) {
+  if (!(await fs.pathExists(location))) {
+    throw new Error(`uniweb binary ${location} does not exist`);
+  }
+
+  const stats = await fs.stat(location);
+  if (stats.isDirectory()) {
+    return fromCheckout(location, "checkout");
+  }
+  if (location.endsWith(".tgz") || location.endsWith(".tar.gz")) {
+    return fromTarball(location);
+  }
+  return fromScript(location, "bin", stats);
+}
+
+async function fromCheckout(dir, source) {
+  const packageJson = await fs.readJson(path.join(dir, "package.json"));
+  const bin =
+    typeof packageJson.bin === "string"
+      ? packageJson.bin
+      : packageJson.bin?.uniweb;
+
+  if (!bin) {
+    throw new Error(
+      `${path.join(dir, "package.json")} has no "uniweb" bin entry`
+    );
+  }
+
+  const script = path.resolve(dir, bin);
+  return fromScript(script, source, await fs.stat(script));
+}
+
+function fromScript(script, source, stats) {
+  const executable = (stats.mode & 0o111) !== 0;
+  if (JS_EXTENSIONS.includes(path.extname(script)) || !executable) {
+    return {
+      command: process.execPath,
+      args: [script],
+      source,
+      location: script,
+    };
+  }
+  return { command: script, args: [], source, location: script };
+}
+
+// Workers resolve in parallel, so each unpacks and installs into a temp
+// dir of its own and renames it into place; the first rename wins and the
+// others use its install.
+async function fromTarball(tarball) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(await fs.readFile(tarball))
+    .digest("hex")
+    .slice(0, 12);
+  const name = path.basename(tarball).replace(/\.(tgz|tar\.gz)$/, "");
+  const target = path.join(cacheDir, `${name}-${hash}`);
+  const packageDir = path.join(target, "package");
+  const marker = path.join(target, ".installed");
+
+  if (!(await fs.pathExists(marker))) {
+    // Renamed installs always carry the marker, so one without it is left
+    // over from an older, interrupted install
+    if ((await fs.pathExists(target)) && !(await fs.pathExists(marker))) {
+      await fs.remove(target);
+    }
+
+    const temporary = `${target}.${process.pid}-${crypto
+      .randomBytes(4)
+      .toString("hex")}.tmp`;
+    try {
+      await fs.ensureDir(temporary);
+      await execa("tar", ["-xzf", tarball, "-C", temporary]);
+      await execa("npm", ["install", "--omit=dev", "--no-package-lock"], {
+        cwd: path.join(temporary, "package"),
+      });
+      await fs.writeFile(path.join(temporary, ".installed"), tarball);
+      await fs.rename(temporary, target);
+    } catch (error) {
+      // Another worker renamed its install into place first
+      if (!["EEXIST", "ENOTEMPTY"].includes(error.code)) throw error;
+    } finally {
+      await fs.remove(temporary);
+    }
+  }
+
+  return fromCheckout(packageDir, "tarball");
+}
+
+async function readVersion(binary) {
+  try {
+    const { stdout } = await execa(binary.command, [
+      ...binary.args,
+      "--version",
+    ]);
+    // Keep just the semver when the CLI prints e.g. "uniweb/1.4.0 linux-x64".
+    const match = stdout.match(/\d+\.\d+\.\d+[^\s]*/);
+    return match ? match[0] : stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
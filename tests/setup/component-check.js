@@ -0,0 +1,177 @@
+// tests/setup/component-check.js
+import fs from "fs-extra";
+import path from "path";
+import yaml from "yaml";
+import { matchesType } from "./config-schemas.js";
+import { listSections } from "./locale-report.js";
+import { splitFrontMatter } from "./section-parser.js";
+
+// Front matter keys that configure the section itself, not the component
+const RESERVED_KEYS = ["component", "id", "hidden", "preset"];
+
+/**
+ * Find a linked module's directory: `src/<name>` of the project for local
+ * modules, otherwise an installed copy in node_modules of the project or
+ * the site. Returns null when it isn't anywhere.
+ */
+export async function findModuleDir(name, { projectDir, siteDir }) {
+  const candidates = [
+    path.join(projectDir, "src", name),
+    path.join(projectDir, "node_modules", name),
+    path.join(siteDir, "node_modules", name),
+  ];
+  for (const dir of candidates) {
+    if (await fs.pathExists(path.join(dir, "module.yml"))) return dir;
+  }
+  return null;
+}
+
+/**
+ * Read a module's module.yml and the meta.yml of each listed component.
+ * Components without a meta.yml have `parameters: null`, so their params
+ * aren't checked.
+ *
+ * @returns {{ name: string, components: Map<string, object> }}
+ */
+export async function loadComponentModule(dir) {
+  const manifest =
+    yaml.parse(await fs.readFile(path.join(dir, "module.yml"), "utf8")) || {};
+  const components = new Map();
+
+  for (const entry of manifest.components || []) {
+    const component = typeof entry === "string" ? { name: entry } : entry;
+    const metaPath = path.join(
+      dir,
+      component.path || `components/${component.name}`,
+      "meta.yml"
+    );
+    const meta = (await fs.pathExists(metaPath))
+      ? yaml.parse(await fs.readFile(metaPath, "utf8")) || {}
+      : {};
+    components.set(component.name, {
+      ...component,
+      ...meta,
+      parameters: meta.parameters || null,
+    });
+  }
+
+  return { name: manifest.name, components };
+}
+
+/**
+ * Check every section of a site (default pages and each locale) against
+ * the components of its linked modules: the front matter `component` must
+ * exist in one of them, and each param must be declared, of the declared
+ * type and, with an enum, one of its values.
+ *
+ * `modules` are the site.yml entries (names or `{ name }` objects).
+ * `ignore` lists component names to skip; `allowUndeclared` accepts params
+ * the component doesn't declare. Paths in the report are relative to the
+ * site directory.
+ */
+export async function buildComponentReport(options) {
+  const { siteDir, projectDir, ignore = [], allowUndeclared = false } = options;
+  const report = { modules: [], sections: 0, issues: [] };
+  const components = new Map();
+
+  for (const entry of options.modules || []) {
+    const name = typeof entry === "string" ? entry : entry?.name;
+    const dir = await findModuleDir(name, { projectDir, siteDir });
+    if (!dir) {
+      report.issues.push({
+        file: "site.yml",
+        message: `linked module "${name}" was not found in src/ or node_modules/`,
+      });
+      continue;
+    }
+
+    const module = await loadComponentModule(dir);
+    report.modules.push(name);
+    for (const [componentName, component] of module.components) {
+      if (!components.has(componentName)) {
+        components.set(componentName, component);
+      }
+    }
+  }
+
+  for (const file of await listSiteSections(siteDir)) {
+    const { frontMatter } = splitFrontMatter(
+      await fs.readFile(path.join(siteDir, file), "utf8")
+    );
+    const componentName = frontMatter.component;
+    if (!componentName || ignore.includes(componentName)) continue;
+    report.sections++;
+
+    const component = components.get(componentName);
+    if (!component) {
+      report.issues.push({
+        file,
+        message: `unknown component "${componentName}" (known: ${
+          [...components.keys()].join(", ") || "none"
+        })`,
+      });
+      continue;
+    }
+    if (!component.parameters) continue;
+
+    for (const [key, value] of Object.entries(frontMatter)) {
+      if (RESERVED_KEYS.includes(key)) continue;
+      const parameter = component.parameters[key];
+      if (!parameter && allowUndeclared) continue;
+
+      const problem = parameter
+        ? checkParameter(parameter, value)
+        : "is not declared";
+      if (problem) {
+        report.issues.push({
+          file,
+          message: `${componentName} param ${key} = ${JSON.stringify(
+            value
+          )} ${problem}`,
+        });
+      }
+    }
+  }
+
+  return report;
+}
+
+export function formatComponentReport(report) {
+  const modules = report.modules.join(", ") || "none";
+  const lines = [
+    `Component check: ${report.issues.length} issues in ${report.sections} sections (modules: ${modules})`,
+  ];
+  for (const issue of report.issues) {
+    lines.push(`  ${issue.file}: ${issue.message}`);
+  }
+  return lines.join("\n");
+}
+
+function checkParameter(parameter, value) {
+  if (parameter.type && !matchesType(parameter.type, value)) {
+    return `should be a ${parameter.type}`;
+  }
+  if (parameter.enum && !parameter.enum.includes(value)) {
+    return `is not one of ${parameter.enum.join(", ")}`;
+  }
+  return null;
+}
+
+// Section files of the default pages and every locale, relative to siteDir
+async function listSiteSections(siteDir) {
+  const files = (await listSections(path.join(siteDir, "pages"))).map(
+    (file) => `pages/${file}`
+  );
+
+  const localesDir = path.join(siteDir, "locales");
+  if (await fs.pathExists(localesDir)) {
+    for (const locale of (await fs.readdir(localesDir)).sort()) {
+      const pagesDir = path.join(localesDir, locale, "pages");
+      for (const file of await listSections(pagesDir)) {
+        files.push(`locales/${locale}/pages/${file}`);
+      }
+    }
+  }
+
+  return files;
+}
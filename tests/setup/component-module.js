@@ -0,0 +1,146 @@
+// tests/setup/component-module.js
+import yaml from "yaml";
+
+// Parameters a generated component declares when the test gives none,
+// by category (lowercased); other categories get DEFAULT_PARAMETERS.
+const PARAMETER_PRESETS = {
+  layout: {
+    layout: {
+      type: "string",
+      enum: ["centered", "left", "right"],
+      default: "centered",
+      description: "Alignment of the content",
+    },
+    fullHeight: { type: "boolean", default: false },
+  },
+  content: {
+    columns: { type: "number", enum: [1, 2, 3, 4], default: 3 },
+    showImages: { type: "boolean", default: true },
+  },
+  forms: {
+    submitLabel: { type: "string", default: "Send" },
+    method: { type: "string", enum: ["post", "email"], default: "post" },
+  },
+  navigation: {
+    sticky: { type: "boolean", default: true },
+    align: {
+      type: "string",
+      enum: ["left", "center", "right"],
+      default: "left",
+    },
+  },
+};
+const DEFAULT_PARAMETERS = {
+  theme: { type: "string", enum: ["light", "dark"], default: "light" },
+};
+
+// What a section using the component is expected to contain. Each key is
+// "required", "optional" or "none".
+const CONTENT_PRESETS = {
+  layout: {
+    title: "required",
+    subtitle: "optional",
+    paragraphs: "optional",
+    links: "optional",
+    images: "optional",
+  },
+  content: { title: "optional", paragraphs: "optional", items: "required" },
+  forms: { title: "optional", paragraphs: "optional", links: "none" },
+};
+const DEFAULT_CONTENT = { title: "optional", paragraphs: "optional" };
+
+/**
+ * Fill in a component spec: a name, or `{ name, category, description,
+ * parameters, content }`. The category and description given are kept;
+ * missing parameters and content expectations come from the category
+ * presets. Parameters may be full declarations (`{ type, default, enum,
+ * description }`) or shorthand: an array is an enum defaulting to its
+ * first value, any other value is the default and sets the type.
+ */
+export function normalizeComponent(spec) {
+  const component = typeof spec === "string" ? { name: spec } : { ...spec };
+  const preset = (component.category || "").toLowerCase();
+
+  return {
+    name: component.name,
+    category: component.category || "General",
+    description: component.description || `${component.name} component`,
+    parameters: normalizeParameters(
+      component.parameters || PARAMETER_PRESETS[preset] || DEFAULT_PARAMETERS
+    ),
+    content: component.content || CONTENT_PRESETS[preset] || DEFAULT_CONTENT,
+  };
+}
+
+function normalizeParameters(parameters) {
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(parameters)) {
+    if (Array.isArray(value)) {
+      normalized[key] = {
+        type: typeof value[0],
+        enum: value,
+        default: value[0],
+      };
+    } else if (value && typeof value === "object") {
+      normalized[key] = { ...value };
+    } else {
+      normalized[key] = { type: typeof value, default: value };
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * The files of a component module, keyed by path relative to the module
+ * root:
+ *
+ * - `module.yml` - name, version, description and the component list
+ * - `components/<Name>/meta.yml` - category, description, parameters and
+ *   content expectations
+ * - `components/<Name>/index.js` - a stub reading its params with defaults
+ */
+export function buildComponentModule(name, components, options = {}) {
+  const { version = "1.0.0", description = `${name} components` } = options;
+  const normalized = components.map(normalizeComponent);
+  const files = {
+    "module.yml": yaml.stringify({
+      name,
+      version,
+      description,
+      components: normalized.map((component) => ({
+        name: component.name,
+        category: component.category,
+        description: component.description,
+        path: `components/${component.name}`,
+      })),
+    }),
+  };
+
+  for (const component of normalized) {
+    const dir = `components/${component.name}`;
+    files[`${dir}/meta.yml`] = yaml.stringify(component);
+    files[`${dir}/index.js`] = componentStub(component);
+  }
+
+  return files;
+}
+
+function componentStub(component) {
+  const params = Object.entries(component.parameters)
+    .map(([key, parameter]) =>
+      parameter.default === undefined
+        ? key
+        : `${key} = ${JSON.stringify(parameter.default)}`
+    )
+    .join(", ");
+
+  return [
+    `export default function ${component.name}({ content, params, block }) {`,
+    ...(params ? [`  const { ${params} } = params;`] : []),
+    "  return null;",
+    "}",
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,361 @@
+// tests/setup/config-schemas.js
+import { LineCounter, parseDocument } from "yaml";
+
+// Keys the CLI writes are plain identifiers; anything else (spaces,
+// "[object Object]", "undefined") means a value was serialized wrongly.
+const KEY_NAME = {
+  type: "string",
+  pattern: "^[A-Za-z][A-Za-z0-9_-]*$",
+  not: { enum: ["undefined", "null", "NaN"] },
+};
+const NAME = { type: "string", pattern: "^[a-z0-9][a-z0-9_-]*$" };
+const LOCALE = { type: "string", pattern: "^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$" };
+const SCALAR = { type: ["string", "number", "boolean"] };
+
+/**
+ * JSON-Schema-style descriptions of the config files the CLI writes. Only
+ * the keywords validateSchema implements are used.
+ */
+export const schemas = {
+  site: {
+    title: "site.yml",
+    type: "object",
+    propertyNames: KEY_NAME,
+    properties: {
+      name: { type: "string" },
+      title: { type: "string" },
+      description: { type: "string" },
+      defaultLocale: LOCALE,
+      locales: { type: "array", items: LOCALE },
+      modules: {
+        type: "array",
+        items: {
+          anyOf: [
+            { title: "module name", type: "string", minLength: 1 },
+            {
+              title: "module reference",
+              type: "object",
+              required: ["name"],
+              propertyNames: KEY_NAME,
+              properties: {
+                name: { type: "string", minLength: 1 },
+                version: { type: "string" },
+                url: { type: "string" },
+              },
+            },
+          ],
+        },
+      },
+      theme: { type: ["string", "object"] },
+    },
+  },
+
+  page: {
+    title: "page.yml",
+    type: "object",
+    propertyNames: KEY_NAME,
+    properties: {
+      title: { type: "string" },
+      description: { type: "string" },
+      label: { type: "string" },
+      hidden: { type: "boolean" },
+      order: { type: "number" },
+      layout: { type: ["string", "object"] },
+      sections: { $ref: "#/definitions/sections" },
+    },
+    definitions: {
+      // ["hero", { "service-tabs": ["web-development", ...] },
+      //  { name: "faq", sections: [...] }, ...], the forms SectionTree reads
+      sections: {
+        type: "array",
+        items: {
+          anyOf: [
+            { title: "section name", ...NAME },
+            {
+              title: "section with children",
+              type: "object",
+              minProperties: 1,
+              maxProperties: 1,
+              propertyNames: NAME,
+              additionalProperties: { $ref: "#/definitions/sections" },
+            },
+            {
+              title: "named section",
+              type: "object",
+              required: ["name"],
+              properties: {
+                name: NAME,
+                sections: { $ref: "#/definitions/sections" },
+                children: { $ref: "#/definitions/sections" },
+              },
+              additionalProperties: false,
+            },
+          ],
+        },
+      },
+    },
+  },
+
+  module: {
+    title: "module.yml",
+    type: "object",
+    required: ["name"],
+    propertyNames: KEY_NAME,
+    properties: {
+      name: { type: "string", minLength: 1 },
+      version: { type: "string", pattern: "^\\d+\\.\\d+\\.\\d+" },
+      description: { type: "string" },
+      components: {
+        type: "array",
+        items: {
+          anyOf: [
+            { title: "component name", type: "string", minLength: 1 },
+            {
+              title: "component",
+              type: "object",
+              required: ["name"],
+              propertyNames: KEY_NAME,
+              properties: {
+                name: { type: "string", minLength: 1 },
+                category: { type: "string" },
+                description: { type: "string" },
+                path: { type: "string" },
+              },
+            },
+          ],
+        },
+      },
+    },
+  },
+
+  component: {
+    title: "meta.yml",
+    type: "object",
+    required: ["name"],
+    propertyNames: KEY_NAME,
+    properties: {
+      name: { type: "string", minLength: 1 },
+      category: { type: "string" },
+      description: { type: "string" },
+      parameters: {
+        type: "object",
+        propertyNames: KEY_NAME,
+        additionalProperties: {
+          type: "object",
+          required: ["type"],
+          propertyNames: KEY_NAME,
+          properties: {
+            type: {
+              enum: [
+                "string",
+                "number",
+                "integer",
+                "boolean",
+                "array",
+                "object",
+              ],
+            },
+            default: { type: [...SCALAR.type, "array", "object"] },
+            enum: { type: "array", items: SCALAR },
+            description: { type: "string" },
+          },
+        },
+      },
+      // What sections using the component contain, e.g. title: required
+      content: {
+        type: "object",
+        propertyNames: KEY_NAME,
+        additionalProperties: { enum: ["required", "optional", "none"] },
+      },
+    },
+  },
+};
+
+/**
+ * Validate a parsed value against a schema. Supports `$ref` (local
+ * definitions), `type`, `enum`, `not`, `anyOf`, `pattern`, `minLength`,
+ * `properties`, `required`, `additionalProperties`, `propertyNames`,
+ * `minProperties`, `maxProperties` and `items`.
+ *
+ * @returns {{ path: Array<string|number>, message: string }[]}
+ */
+export function validateSchema(schema, value, path = [], root = schema) {
+  if (schema.$ref) {
+    const target = schema.$ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => node[key], root);
+    return validateSchema(target, value, path, root);
+  }
+
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(
+      `expected ${[].concat(schema.type).join(" or ")}, got ${typeOf(value)}`
+    );
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      `expected one of ${schema.enum.join(", ")}, got ${JSON.stringify(value)}`
+    );
+  }
+
+  if (
+    schema.not &&
+    validateSchema(schema.not, value, path, root).length === 0
+  ) {
+    fail(`${JSON.stringify(value)} is not allowed`);
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(
+      (option) => validateSchema(option, value, path, root).length === 0
+    );
+    let sameType = schema.anyOf.filter(
+      (option) => !option.type || matchesType(option.type, value)
+    );
+    if (sameType.length > 1 && typeOf(value) === "object") {
+      // Tell object options apart by their required keys, e.g. `name`
+      const hasKeys = (option) =>
+        (option.required || []).every((key) => key in value);
+      const keyed = sameType.filter(
+        (option) => option.required && hasKeys(option)
+      );
+      const possible = sameType.filter(hasKeys);
+      if (keyed.length === 1) sameType = keyed;
+      else if (possible.length > 0) sameType = possible;
+    }
+    if (!matches && sameType.length === 1) {
+      // Only one option could apply, so its errors point deeper than ours
+      errors.push(...validateSchema(sameType[0], value, path, root));
+    } else if (!matches) {
+      const options = schema.anyOf.map((option) => option.title || option.type);
+      fail(
+        `expected a ${options.join(" or a ")}, got ${JSON.stringify(value)}`
+      );
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) {
+      fail(`expected at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) =>
+      errors.push(...validateSchema(schema.items, item, [...path, index], root))
+    );
+  }
+
+  if (typeOf(value) === "object") {
+    const keys = Object.keys(value);
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required key "${key}"`);
+    }
+    if (schema.minProperties && keys.length < schema.minProperties) {
+      fail(`expected at least ${schema.minProperties} keys`);
+    }
+    if (schema.maxProperties && keys.length > schema.maxProperties) {
+      fail(
+        `expected at most ${schema.maxProperties} keys, got ${keys.join(", ")}`
+      );
+    }
+
+    for (const key of keys) {
+      const keyPath = [...path, key];
+      if (schema.propertyNames) {
+        const keyErrors = validateSchema(
+          schema.propertyNames,
+          key,
+          keyPath,
+          root
+        );
+        if (keyErrors.length > 0)
+          fail(`malformed key ${JSON.stringify(key)}`, keyPath);
+      }
+
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(
+          ...validateSchema(propertySchema, value[key], keyPath, root)
+        );
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected key "${key}"`, keyPath);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateSchema(
+            schema.additionalProperties,
+            value[key],
+            keyPath,
+            root
+          )
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse YAML text and validate it against one of `schemas`. Each error
+ * carries its YAML path (e.g. `sections[1].service-tabs[0]`) and line.
+ *
+ * @returns {{ path: string, line: number | null, message: string }[]}
+ */
+export function validateConfig(kind, text) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(text, { lineCounter });
+
+  if (doc.errors.length > 0) {
+    return doc.errors.map((error) => ({
+      path: "(root)",
+      line: error.linePos?.[0]?.line ?? null,
+      message: error.message,
+    }));
+  }
+
+  return validateSchema(schemas[kind], doc.toJS() ?? {}).map((error) => {
+    const node =
+      error.path.length > 0 ? doc.getIn(error.path, true) : doc.contents;
+    return {
+      path: formatPath(error.path),
+      line: node?.range ? lineCounter.linePos(node.range[0]).line : null,
+      message: error.message,
+    };
+  });
+}
+
+export function formatPath(path) {
+  if (path.length === 0) return "(root)";
+  return path
+    .map((key, index) => {
+      if (typeof key === "number") return `[${key}]`;
+      return index === 0 ? key : `.${key}`;
+    })
+    .join("");
+}
+
+// JSON Schema type check: "integer" needs a whole number, "array" and
+// "null" are told apart from "object". Shared with component-check.js.
+export function matchesType(types, value) {
+  return [].concat(types).some((type) => {
+    if (type === "integer") return Number.isInteger(value);
+    return typeOf(value) === type;
+  });
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
@@ -0,0 +1,235 @@
+// tests/setup/differential-runner.js
+import crypto from "crypto";
+import fs from "fs-extra";
+import path from "path";
+import yaml from "yaml";
+import { expect } from "vitest";
+import { TestEnvironment } from "./enhanced-test-helpers.js";
+
+const IGNORED = ["node_modules", ".git", "package-lock.json"];
+const YAML_EXTENSIONS = [".yml", ".yaml"];
+
+/**
+ * Run the same scenario against several uniweb binaries and diff the
+ * project trees they leave behind.
+ *
+ * `binaries` are UNIWEB_BIN-style locations (see resolveUniwebBinary), or
+ * `{ label, bin }` objects; `null` means the `uniweb` on PATH. The first
+ * binary is the baseline the others are compared against. The scenario
+ * receives a fresh TestEnvironment, e.g.
+ * `(env) => env.scenarios().createPortfolioScenario()`.
+ */
+export async function runDifferential(binaries, scenario, options = {}) {
+  const ignore = options.ignore || IGNORED;
+  const runs = [];
+
+  for (const binary of binaries) {
+    const { label, bin } = normalizeBinary(binary);
+    const env = new TestEnvironment({ cli: { bin } });
+    const run = { label, cli: null, files: {}, error: null };
+
+    try {
+      await env.setup();
+      run.cli = env.cli;
+      await scenario(env);
+    } catch (error) {
+      // Assertion messages can embed whole section bodies; keep the summary
+      run.error = error.message.split("\n")[0];
+    }
+
+    if (env.tempDir) {
+      run.files = await snapshotTree(env.tempDir, ignore);
+    }
+    await env.cleanup();
+    runs.push(run);
+  }
+
+  const [baseline, ...others] = runs;
+  const comparisons = others.map((run) => compareRuns(baseline, run));
+  return new DifferentialResult(runs, comparisons);
+}
+
+export class DifferentialResult {
+  constructor(runs, comparisons) {
+    this.runs = runs;
+    this.comparisons = comparisons;
+  }
+
+  get hasDifferences() {
+    return (
+      this.runs.some((run) => run.error) ||
+      this.comparisons.some(
+        (c) => c.added.length || c.removed.length || c.changed.length
+      )
+    );
+  }
+
+  report() {
+    const lines = ["CLI differential report", ""];
+
+    for (const run of this.runs) {
+      const version = run.cli?.version || "unknown version";
+      lines.push(`- ${run.label}: ${version}`);
+      if (run.error) lines.push(`    scenario failed: ${run.error}`);
+    }
+
+    for (const comparison of this.comparisons) {
+      lines.push("", `${comparison.from} -> ${comparison.to}`);
+
+      if (
+        !comparison.added.length &&
+        !comparison.removed.length &&
+        !comparison.changed.length
+      ) {
+        lines.push("  no differences");
+        continue;
+      }
+
+      for (const file of comparison.added) lines.push(`  + ${file}`);
+      for (const file of comparison.removed) lines.push(`  - ${file}`);
+      for (const change of comparison.changed) {
+        lines.push(`  ~ ${change.file}`);
+        for (const line of change.details) lines.push(`      ${line}`);
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  expectNoDifferences() {
+    expect(this.hasDifferences, this.report()).toBe(false);
+  }
+}
+
+function normalizeBinary(binary) {
+  if (binary && typeof binary === "object") {
+    return { label: binary.label || binary.bin || "PATH", bin: binary.bin };
+  }
+  return { label: binary || "PATH", bin: binary || undefined };
+}
+
+async function snapshotTree(root, ignore, dir = ".", files = {}) {
+  const items = (await fs.readdir(path.join(root, dir))).sort();
+
+  for (const item of items) {
+    if (ignore.includes(item)) continue;
+    const relative = path.posix.join(dir, item);
+    const fullPath = path.join(root, relative);
+    const stats = await fs.stat(fullPath);
+
+    if (stats.isDirectory()) {
+      files[`${relative}/`] = "directory";
+      await snapshotTree(root, ignore, relative, files);
+    } else {
+      const buffer = await fs.readFile(fullPath);
+      files[relative] = buffer.includes(0)
+        ? `binary sha1:${crypto.createHash("sha1").update(buffer).digest("hex")}`
+        : buffer.toString("utf8");
+    }
+  }
+
+  return files;
+}
+
+function compareRuns(baseline, run) {
+  const before = baseline.files;
+  const after = run.files;
+  const comparison = {
+    from: baseline.label,
+    to: run.label,
+    added: [],
+    removed: [],
+    changed: [],
+  };
+
+  for (const file of Object.keys(after)) {
+    if (!(file in before)) comparison.added.push(file);
+  }
+
+  for (const file of Object.keys(before)) {
+    if (!(file in after)) {
+      comparison.removed.push(file);
+    } else if (before[file] !== after[file]) {
+      const details = describeChange(file, before[file], after[file]);
+      if (details.length) comparison.changed.push({ file, details });
+    }
+  }
+
+  return comparison;
+}
+
+function describeChange(file, before, after) {
+  if (YAML_EXTENSIONS.includes(path.extname(file))) {
+    try {
+      // Compare YAML by value so quoting or indentation changes don't count.
+      return diffValues(yaml.parse(before), yaml.parse(after));
+    } catch {
+      // Fall back to a line diff for YAML the parser rejects
+    }
+  }
+  return diffLines(before, after);
+}
+
+function diffValues(before, after, keyPath = "") {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  const bothObjects =
+    before &&
+    after &&
+    typeof before === "object" &&
+    typeof after === "object" &&
+    Array.isArray(before) === Array.isArray(after);
+
+  if (!bothObjects) {
+    return [
+      `${keyPath || "(root)"}: ${JSON.stringify(before)} -> ${JSON.stringify(
+        after
+      )}`,
+    ];
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const details = [];
+  for (const key of keys) {
+    let childPath = keyPath ? `${keyPath}.${key}` : key;
+    if (Array.isArray(before)) childPath = `${keyPath}[${key}]`;
+    details.push(...diffValues(before[key], after[key], childPath));
+  }
+  return details;
+}
+
+// Minimal LCS line diff; project files are small enough for O(n*m).
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const details = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (
+      j < b.length &&
+      (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])
+    ) {
+      details.push(`+ ${b[j++]}`);
+    } else {
+      details.push(`- ${a[i++]}`);
+    }
+  }
+  return details;
+}
@@ -0,0 +1,61 @@
+// tests/setup/growth-curve.js
+
+// Upper bounds of the fitted exponent for each label
+const GROWTH_CLASSES = [
+  [0.25, "constant"],
+  [0.75, "sublinear"],
+  [1.25, "linear"],
+  [1.75, "superlinear"],
+  [Infinity, "quadratic or worse"],
+];
+
+/**
+ * Fit `time ≈ coefficient * size ^ exponent` to `[{ size, time }]` by least
+ * squares on log-log scale. An exponent near 1 means the cost grows
+ * linearly with size, near 2 quadratically. The CLI's fixed startup cost
+ * flattens the curve, so the exponent is a lower bound on how the work
+ * itself grows. `r2` says how well a power law fits at all.
+ */
+export function fitGrowthCurve(points) {
+  const usable = points.filter((point) => point.size > 0 && point.time > 0);
+  if (new Set(usable.map((point) => point.size)).size < 2) {
+    throw new Error("Fitting a growth curve needs at least two sizes");
+  }
+
+  const xs = usable.map((point) => Math.log(point.size));
+  const ys = usable.map((point) => Math.log(point.time));
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+
+  const exponent = covariance / varianceX;
+  return {
+    exponent,
+    coefficient: Math.exp(meanY - exponent * meanX),
+    r2: varianceY > 0 ? covariance ** 2 / (varianceX * varianceY) : 1,
+    growth: GROWTH_CLASSES.find(([limit]) => exponent < limit)[1],
+    points: usable,
+  };
+}
+
+// "add-page: linear (n^1.04, r² 0.98) - 10: 82.1ms, 100: 95.3ms, ..."
+export function formatGrowthCurve(name, curve) {
+  const points = curve.points
+    .map((point) => `${point.size}: ${point.time.toFixed(1)}ms`)
+    .join(", ");
+  return `${name}: ${curve.growth} (n^${curve.exponent.toFixed(
+    2
+  )}, r² ${curve.r2.toFixed(2)}) - ${points}`;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
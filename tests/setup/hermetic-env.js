@@ -0,0 +1,93 @@
+// tests/setup/hermetic-env.js
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const NETWORK_GUARD = path.join(__dirname, "network-guard.cjs");
+
+// The only variables a hermetic command inherits from the test process:
+// enough to find binaries, keep the locale and run on Windows.
+const INHERITED = [
+  "PATH",
+  "LANG",
+  "LC_ALL",
+  "LC_CTYPE",
+  "TZ",
+  "TMPDIR",
+  "SystemRoot",
+  "ComSpec",
+  "PATHEXT",
+  "WINDIR",
+];
+
+const HOME_DIRS = {
+  XDG_CONFIG_HOME: ".config",
+  XDG_CACHE_HOME: ".cache",
+  XDG_DATA_HOME: ".local/share",
+  XDG_STATE_HOME: ".local/state",
+  APPDATA: "AppData/Roaming",
+  LOCALAPPDATA: "AppData/Local",
+  npm_config_cache: ".npm",
+};
+
+/**
+ * Create an empty home directory with the usual config, cache and data
+ * folders, so nothing the CLI reads or writes there outlives the test.
+ */
+export async function createHermeticHome(home) {
+  for (const dir of Object.values(HOME_DIRS)) {
+    await fs.ensureDir(path.join(home, dir));
+  }
+  return home;
+}
+
+/**
+ * The full environment of a hermetic CLI run: the INHERITED variables,
+ * HOME and friends pointing into `home`, npm config kept inside it and
+ * update checks off, then `overrides` on top.
+ *
+ * With `network: "deny"` the network guard is preloaded and logs every
+ * non-loopback connection attempt to `networkLog`.
+ */
+export function buildHermeticEnv({
+  home,
+  overrides = {},
+  network,
+  networkLog,
+}) {
+  const env = {};
+  for (const key of INHERITED) {
+    if (process.env[key] !== undefined) env[key] = process.env[key];
+  }
+
+  Object.assign(env, {
+    HOME: home,
+    USERPROFILE: home,
+    npm_config_userconfig: path.join(home, ".npmrc"),
+    npm_config_globalconfig: path.join(home, ".npmrc-global"),
+    npm_config_update_notifier: "false",
+    NO_UPDATE_NOTIFIER: "1",
+  });
+  for (const [key, dir] of Object.entries(HOME_DIRS)) {
+    env[key] = path.join(home, dir);
+  }
+
+  if (network === "deny") {
+    env.NODE_OPTIONS = `--require ${JSON.stringify(NETWORK_GUARD)}`;
+    env.UNIWEB_NETWORK_LOG = networkLog;
+  }
+
+  return { ...env, ...overrides };
+}
+
+// Connection attempts the guard logged since the last call; clears the log
+export async function takeNetworkAttempts(networkLog) {
+  if (!networkLog || !(await fs.pathExists(networkLog))) return [];
+
+  const attempts = (await fs.readFile(networkLog, "utf8"))
+    .split("\n")
+    .filter(Boolean);
+  await fs.remove(networkLog);
+  return [...new Set(attempts)];
+}
@@ -0,0 +1,302 @@
+// tests/setup/interactive-session.js
+import { execa } from "execa";
+import path from "path";
+import {
+  killProcessTree,
+  PROCESS_TREE_OPTIONS,
+  trackProcessTree,
+} from "./process-tree.js";
+
+const ANSI = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// Control sequences for answering menus and confirmations
+export const KEYS = {
+  enter: "\r",
+  up: "\x1b[A",
+  down: "\x1b[B",
+  space: " ",
+  tab: "\t",
+  escape: "\x1b",
+  ctrlC: "\x03",
+};
+
+/**
+ * Expect-style driver for CLI commands that prompt for input. Steps are
+ * queued and run in order once the session is awaited:
+ *
+ *   await env
+ *     .runInteractive(["init"])
+ *     .expect(/project name/i)
+ *     .sendLine("demo")
+ *     .expectExit(0);
+ *
+ * `expect` waits until the pattern (string or RegExp) shows up in output
+ * produced since the previous match, stdout and stderr combined and ANSI
+ * codes stripped. Every wait has a timeout (`options.timeout`, 5000ms by
+ * default). On failure the process is killed and the error carries the
+ * conversation so far. stdin is a pipe, not a TTY.
+ */
+export class InteractiveSession {
+  constructor(env, args, options = {}) {
+    this.env = env;
+    this.args = args;
+    this.options = options;
+    this.timeout = options.timeout ?? 5000;
+    this.steps = [];
+    this.running = null;
+    this.output = "";
+    this.cursor = 0;
+    this.conversation = [];
+    this.exit = null;
+    this.listeners = new Set();
+  }
+
+  expect(pattern, options = {}) {
+    return this.enqueue(`expect ${pattern}`, () =>
+      this.waitFor(
+        `waiting for ${pattern}`,
+        options.timeout ?? this.timeout,
+        () => {
+          const match = findMatch(this.output.slice(this.cursor), pattern);
+          if (!match) return undefined;
+          this.cursor += match.end;
+          return match.text;
+        }
+      )
+    );
+  }
+
+  send(text) {
+    return this.enqueue(`send ${JSON.stringify(text)}`, () => {
+      if (this.exit) {
+        throw new Error(`The process exited with ${describeExit(this.exit)}`);
+      }
+      this.conversation.push({ direction: "in", text });
+      this.subprocess.stdin.write(text);
+    });
+  }
+
+  sendLine(text = "") {
+    return this.send(`${text}\n`);
+  }
+
+  expectExit(code = 0, options = {}) {
+    return this.enqueue(`expect exit ${code}`, async () => {
+      const exit = await this.waitFor(
+        "waiting for the process to exit",
+        options.timeout ?? this.timeout,
+        () => this.exit || undefined,
+        { allowExit: true }
+      );
+      if (exit.exitCode !== code) {
+        throw new Error(
+          `Expected exit code ${code}, got ${describeExit(exit)}`
+        );
+      }
+    });
+  }
+
+  enqueue(description, run) {
+    if (this.running) {
+      throw new Error(
+        `Cannot add "${description}" to a session that has already started`
+      );
+    }
+    this.steps.push({ description, run });
+    return this;
+  }
+
+  then(resolve, reject) {
+    if (!this.running) this.running = this.execute();
+    return this.running.then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.then(undefined, reject);
+  }
+
+  finally(callback) {
+    return this.then(
+      (value) => {
+        callback();
+        return value;
+      },
+      (error) => {
+        callback();
+        throw error;
+      }
+    );
+  }
+
+  async execute() {
+    const { env } = this;
+    const commandEnv = { ...env.commandEnv, ...this.options.env };
+    const before = env.trackChanges ? await env.hashTree() : null;
+    const start = Date.now();
+
+    this.subprocess = trackProcessTree(
+      execa(env.cli.command, [...env.cli.args, ...this.args], {
+        cwd: env.cwd,
+        ...env.processEnv(commandEnv),
+        ...PROCESS_TREE_OPTIONS,
+        reject: false,
+      }),
+      env.processTrees
+    );
+    // Writes racing the process's exit shouldn't crash the test run
+    this.subprocess.stdin.on("error", () => {});
+    for (const stream of [this.subprocess.stdout, this.subprocess.stderr]) {
+      stream.on("data", (chunk) => this.receive(chunk.toString()));
+    }
+    const finished = this.subprocess.then((result) => {
+      this.exit = result;
+      this.notify();
+      return result;
+    });
+
+    let failure = null;
+    let failedStep = null;
+    for (const step of this.steps) {
+      try {
+        await step.run();
+      } catch (error) {
+        failure = error;
+        failedStep = step;
+        break;
+      }
+    }
+
+    // Let the command finish on its own; kill it if it doesn't
+    if (!this.exit) this.subprocess.stdin.end();
+    const timer = setTimeout(
+      () => killProcessTree(this.subprocess),
+      failure ? 0 : this.timeout
+    );
+    const result = await finished;
+    clearTimeout(timer);
+
+    if (before) {
+      env.lastChanges = env.diffTrees(before, await env.hashTree(), env.cwd);
+    }
+    env.transcript.push({
+      args: this.args,
+      cwd: path.relative(env.tempDir, env.cwd) || ".",
+      env: commandEnv,
+      duration: Date.now() - start,
+      exitCode: result.exitCode ?? result.signal ?? result.code,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      changes: before ? env.lastChanges : null,
+      conversation: this.conversation,
+    });
+
+    if (failure) {
+      const error = new Error(
+        `Interactive 'uniweb ${this.args.join(" ")}' failed at "${
+          failedStep.description
+        }": ${failure.message}\n\n${this.formatConversation()}`
+      );
+      error.session = this;
+      throw error;
+    }
+    await env.checkNetworkAccess(this.args);
+
+    return {
+      success: result.exitCode === 0,
+      exitCode: result.exitCode,
+      output: this.output,
+      conversation: this.conversation,
+    };
+  }
+
+  receive(text) {
+    const clean = text.replace(ANSI, "");
+    this.output += clean;
+
+    const last = this.conversation[this.conversation.length - 1];
+    if (last?.direction === "out") {
+      last.text += clean;
+    } else {
+      this.conversation.push({ direction: "out", text: clean });
+    }
+    this.notify();
+  }
+
+  notify() {
+    for (const listener of [...this.listeners]) listener();
+  }
+
+  // Resolve with the first defined value of `check`, re-run whenever
+  // output arrives or the process exits
+  waitFor(description, timeout, check, { allowExit = false } = {}) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const done = () => {
+        clearTimeout(timer);
+        this.listeners.delete(listener);
+      };
+      const listener = () => {
+        const value = check();
+        if (value !== undefined) {
+          done();
+          resolve(value);
+        } else if (this.exit && !allowExit) {
+          done();
+          reject(
+            new Error(
+              `The process exited with ${describeExit(this.exit)} while ${description}`
+            )
+          );
+        }
+      };
+
+      timer = setTimeout(() => {
+        done();
+        reject(new Error(`Timed out after ${timeout}ms ${description}`));
+      }, timeout);
+      this.listeners.add(listener);
+      listener();
+    });
+  }
+
+  formatConversation() {
+    const lines = [`Conversation with uniweb ${this.args.join(" ")}:`];
+
+    for (const entry of this.conversation) {
+      if (entry.direction === "in") {
+        lines.push(`  > ${JSON.stringify(entry.text)}`);
+        continue;
+      }
+      for (const line of entry.text.replace(/\n$/, "").split("\n")) {
+        lines.push(`  | ${line}`);
+      }
+    }
+    lines.push(
+      this.exit
+        ? `  (exited with ${describeExit(this.exit)})`
+        : "  (still running)"
+    );
+
+    return lines.join("\n");
+  }
+}
+
+// "code 1", "signal SIGKILL", or why the command couldn't be started,
+// e.g. "error ENOENT: spawn uniweb ENOENT"
+function describeExit(result) {
+  if (result.signal) return `signal ${result.signal}`;
+  if (result.exitCode === undefined) {
+    return `error ${result.code}: ${result.originalMessage || result.message}`;
+  }
+  return `code ${result.exitCode}`;
+}
+
+function findMatch(text, pattern) {
+  if (typeof pattern === "string") {
+    const index = text.indexOf(pattern);
+    return index === -1 ? null : { text: pattern, end: index + pattern.length };
+  }
+
+  const match = text.match(pattern);
+  return match ? { text: match[0], end: match.index + match[0].length } : null;
+}
@@ -0,0 +1,114 @@
+// tests/setup/locale-report.js
+import crypto from "crypto";
+import fs from "fs-extra";
+import path from "path";
+
+export function hashContent(content) {
+  return crypto.createHash("sha1").update(content).digest("hex");
+}
+
+/**
+ * Compare the default `pages/` tree of a site with each
+ * `locales/<lang>/pages/` tree.
+ *
+ * Per locale it reports `missing` sections (no translation), `orphaned`
+ * translations (no source section any more) and `stale` translations.
+ * A translation is stale when its source changed since it was written:
+ * by content hash when `translationSources` recorded the source hash at
+ * that time (keyed by absolute translation path), otherwise by mtime.
+ * Section paths are relative to `pages/`, e.g. "about/hero.md".
+ */
+export async function buildLocaleReport(siteDir, options = {}) {
+  const translationSources = options.translationSources || {};
+  const pagesDir = path.join(siteDir, "pages");
+  const localesDir = path.join(siteDir, "locales");
+  const sources = await listSections(pagesDir);
+  const locales =
+    options.locales ||
+    ((await fs.pathExists(localesDir))
+      ? (await fs.readdir(localesDir, { withFileTypes: true }))
+          .filter((entry) => entry.isDirectory())
+          .map((entry) => entry.name)
+          .sort()
+      : []);
+
+  const report = { sources, locales: {} };
+
+  for (const locale of locales) {
+    const localePagesDir = path.join(localesDir, locale, "pages");
+    const translations = await listSections(localePagesDir);
+    const result = {
+      total: sources.length,
+      translated: 0,
+      coverage: 100,
+      missing: [],
+      orphaned: translations.filter((file) => !sources.includes(file)),
+      stale: [],
+    };
+
+    for (const file of sources) {
+      if (!translations.includes(file)) {
+        result.missing.push(file);
+        continue;
+      }
+
+      result.translated++;
+      const sourcePath = path.join(pagesDir, file);
+      const translationPath = path.join(localePagesDir, file);
+      const recordedHash = translationSources[translationPath];
+
+      const stale = recordedHash
+        ? recordedHash !== hashContent(await fs.readFile(sourcePath))
+        : (await fs.stat(translationPath)).mtimeMs <
+          (await fs.stat(sourcePath)).mtimeMs;
+      if (stale) result.stale.push(file);
+    }
+
+    // Rounded down, so 100% only ever means nothing is missing
+    if (sources.length > 0) {
+      result.coverage = Math.floor((result.translated / sources.length) * 100);
+    }
+    report.locales[locale] = result;
+  }
+
+  return report;
+}
+
+export function formatLocaleReport(report) {
+  const lines = [`Locale report (${report.sources.length} source sections)`];
+
+  for (const [locale, result] of Object.entries(report.locales)) {
+    lines.push(
+      "",
+      `${locale}: ${result.translated}/${result.total} translated (${result.coverage}%)`
+    );
+    for (const [label, files] of [
+      ["missing", result.missing],
+      ["orphaned", result.orphaned],
+      ["stale", result.stale],
+    ]) {
+      if (files.length > 0) lines.push(`  ${label}: ${files.join(", ")}`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+// Section files under `dir`, relative to it and sorted, e.g. "about/hero.md"
+export async function listSections(dir, relative = "", files = []) {
+  if (!(await fs.pathExists(dir))) return files;
+
+  const entries = await fs.readdir(path.join(dir, relative), {
+    withFileTypes: true,
+  });
+  for (const entry of entries) {
+    const entryPath = path.posix.join(relative, entry.name);
+    if (entry.isDirectory()) {
+      await listSections(dir, entryPath, files);
+    } else if (entry.name.endsWith(".md")) {
+      files.push(entryPath);
+    }
+  }
+
+  return files.sort();
+}
@@ -0,0 +1,199 @@
+// tests/setup/mock-registry.js
+import { execa } from "execa";
+import fs from "fs-extra";
+import http from "http";
+import path from "path";
+import yaml from "yaml";
+import { buildComponentModule } from "./component-module.js";
+
+/**
+ * Local stand-in for the module registry `uniweb link module` installs
+ * remote modules from. It speaks the subset of the npm registry protocol
+ * a client needs to resolve and download a package:
+ *
+ * - `GET /<name>` - the packument: every version plus `dist-tags`
+ * - `GET /<name>/<version|tag>` - one version's metadata
+ * - `GET /<name>/-/<file>.tgz` - the tarball: `package/package.json` plus
+ *   the module files (module.yml, components/<Name>/meta.yml, ...)
+ *
+ * Unknown modules get a 404. `fail()` makes a module answer with an error
+ * status, and publishing with a string `manifest` ships that text as
+ * module.yml, to test how the CLI handles broken packages.
+ */
+export class MockRegistry {
+  constructor(options = {}) {
+    // Tarballs are built on first download and kept here
+    this.dir = options.dir;
+    this.modules = new Map();
+    this.failures = new Map();
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+  }
+
+  async start() {
+    await fs.ensureDir(this.dir);
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch((error) => {
+        // Too late for an error status once a tarball started streaming
+        if (response.headersSent) response.destroy(error);
+        else this.send(response, 500, { error: error.message });
+      });
+    });
+    await new Promise((resolve) => {
+      this.server.listen(0, "127.0.0.1", resolve);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    if (this.server) {
+      // Don't wait for keep-alive connections to time out
+      this.server.closeAllConnections();
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+    await fs.remove(this.dir);
+  }
+
+  /**
+   * Publish a module version. Its files come from buildComponentModule
+   * with `components` (see component-module.js). `manifest` replaces the
+   * generated module.yml: an object (serialized as YAML) or raw text,
+   * which may be invalid on purpose. The latest published non-prerelease
+   * version becomes the `latest` tag unless `tag` says otherwise.
+   */
+  publish(name, version, options = {}) {
+    const { components = [], description = `${name} components` } = options;
+    const module = this.modules.get(name) || { versions: {}, tags: {} };
+    const files = buildComponentModule(name, components, {
+      version,
+      description,
+    });
+    if (options.manifest !== undefined) {
+      files["module.yml"] =
+        typeof options.manifest === "string"
+          ? options.manifest
+          : yaml.stringify(options.manifest);
+    }
+
+    module.versions[version] = {
+      name,
+      version,
+      description,
+      files,
+      published: new Date().toISOString(),
+    };
+    const tag = options.tag || (version.includes("-") ? null : "latest");
+    if (tag) module.tags[tag] = version;
+
+    this.modules.set(name, module);
+    return this;
+  }
+
+  // Answer every request for `name` with this HTTP status
+  fail(name, status = 500) {
+    this.failures.set(name, status);
+    return this;
+  }
+
+  // Request paths that start with `prefix`, e.g. "/portfolio-components"
+  requested(prefix) {
+    return this.requests.filter((request) => request.startsWith(prefix));
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, this.url);
+    const requestPath = decodeURIComponent(url.pathname);
+    this.requests.push(requestPath);
+
+    const match = requestPath.match(
+      /^\/((?:@[^/]+\/)?[^/@]+)(?:\/(-\/[^/]+\.tgz|[^/]+))?\/?$/
+    );
+    const module = match && this.modules.get(match[1]);
+
+    if (match && this.failures.has(match[1])) {
+      return this.send(response, this.failures.get(match[1]), {
+        error: "Registry unavailable",
+      });
+    }
+    if (!module) return this.send(response, 404, { error: "Not found" });
+
+    const [, name, rest] = match;
+    if (!rest) return this.send(response, 200, this.packument(name, module));
+
+    if (rest.startsWith("-/")) {
+      const version = Object.keys(module.versions).find(
+        (candidate) => rest === `-/${tarballName(name, candidate)}`
+      );
+      if (!version) return this.send(response, 404, { error: "Not found" });
+
+      const tarball = await this.buildTarball(module.versions[version]);
+      const stream = fs.createReadStream(tarball);
+      stream.on("error", (error) => response.destroy(error));
+      response.writeHead(200, { "Content-Type": "application/octet-stream" });
+      return stream.pipe(response);
+    }
+
+    const version = module.tags[rest] || rest;
+    if (!module.versions[version]) {
+      return this.send(response, 404, { error: `No version ${rest}` });
+    }
+    return this.send(response, 200, this.versionDocument(module, version));
+  }
+
+  packument(name, module) {
+    const versions = {};
+    const time = {};
+    for (const version of Object.keys(module.versions)) {
+      versions[version] = this.versionDocument(module, version);
+      time[version] = module.versions[version].published;
+    }
+    return { name, "dist-tags": module.tags, versions, time };
+  }
+
+  versionDocument(module, version) {
+    const { name, description } = module.versions[version];
+    return {
+      name,
+      version,
+      description,
+      dist: {
+        tarball: `${this.url}/${name}/-/${tarballName(name, version)}`,
+      },
+    };
+  }
+
+  async buildTarball(entry) {
+    const base = path.join(this.dir, `${entry.name}@${entry.version}`);
+    const tarball = `${base}.tgz`;
+    if (await fs.pathExists(tarball)) return tarball;
+
+    const packageDir = path.join(base, "package");
+    for (const [file, content] of Object.entries(entry.files)) {
+      await fs.outputFile(path.join(packageDir, file), content);
+    }
+    await fs.outputJson(
+      path.join(packageDir, "package.json"),
+      {
+        name: entry.name,
+        version: entry.version,
+        description: entry.description,
+      },
+      { spaces: 2 }
+    );
+    await execa("tar", ["-czf", tarball, "-C", base, "package"]);
+
+    return tarball;
+  }
+
+  send(response, status, body) {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body));
+  }
+}
+
+function tarballName(name, version) {
+  return `${name.split("/").pop()}-${version}.tgz`;
+}
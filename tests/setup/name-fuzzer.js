@@ -0,0 +1,169 @@
+// tests/setup/name-fuzzer.js
+
+/**
+ * Classes of awkward names for `add page`, `add section` and `add locale`.
+ * Each class has fixed examples plus a generator for random ones. Commas
+ * are left out because `add locale` treats them as a list separator.
+ */
+export const NAME_CLASSES = {
+  unicode: {
+    examples: ["café", "页面", "صفحة", "éclair", "a\u200bb", "emoji-😀"],
+    generate: (random) =>
+      random.string(random.int(1, 8), "aéüßçøñ页面ページсайт😀\u0301"),
+  },
+  whitespace: {
+    examples: [" lead", "trail ", "two words", "tab\tname", "new\nline", "   "],
+    generate: (random) =>
+      random.string(random.int(1, 4), "ab") +
+      random.pick([" ", "\t", "\n", " "]) +
+      random.string(random.int(0, 4), "ab"),
+  },
+  dots: {
+    examples: [".", "..", "...", ".hidden", "name.", "a.b"],
+    generate: (random) => random.string(random.int(1, 6), "a."),
+  },
+  reserved: {
+    examples: [
+      "con",
+      "nul",
+      "com1",
+      "node_modules",
+      "__proto__",
+      "constructor",
+      "undefined",
+    ],
+    generate: (random) =>
+      random.pick(["CON", "aux", "lpt9", "prototype", "null", "true"]),
+  },
+  long: {
+    examples: ["a".repeat(255), "a".repeat(256), "a".repeat(1000)],
+    generate: (random) => random.string(random.int(200, 600), "abc-"),
+  },
+  "leading-dash": {
+    examples: ["-name", "--name", "-", "--", "-h"],
+    generate: (random) =>
+      "-".repeat(random.int(1, 3)) + random.string(random.int(0, 5), "abc"),
+  },
+  "path-separator": {
+    examples: ["a/b", "a\\b", "../escape", "/absolute", "a/../b", "./x"],
+    generate: (random) =>
+      random.string(random.int(0, 3), "ab") +
+      random.pick(["/", "\\", "../", "/.."]) +
+      random.string(random.int(0, 3), "ab"),
+  },
+};
+
+/**
+ * Small seeded PRNG (mulberry32), so a failing run can be repeated with
+ * the same seed.
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const random = {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    string: (length, alphabet) => {
+      const chars = [...alphabet];
+      return Array.from({ length }, () => random.pick(chars)).join("");
+    },
+  };
+  return random;
+}
+
+/**
+ * The examples of each requested class followed by `count` random names.
+ *
+ * @returns {{ className: string, name: string }[]}
+ */
+export function generateNames(options = {}) {
+  const { classes = Object.keys(NAME_CLASSES), count = 2, seed = 1 } = options;
+  const random = createRandom(seed);
+  const names = [];
+
+  for (const className of classes) {
+    const nameClass = NAME_CLASSES[className];
+    if (!nameClass) throw new Error(`Unknown name class: ${className}`);
+
+    for (const name of nameClass.examples) names.push({ className, name });
+    for (let i = 0; i < count; i++) {
+      names.push({ className, name: nameClass.generate(random) });
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Shrink a failing name to a minimal one that still fails: repeatedly try
+ * deleting chunks (halves, quarters, ... single characters) and then
+ * replacing unusual characters with "a", keeping any candidate for which
+ * `stillFails` resolves true. Candidates are never empty, since an empty
+ * name fails for reasons of its own. Stops after `maxRuns` checks.
+ */
+export async function shrinkName(name, stillFails, options = {}) {
+  const { maxRuns = 200 } = options;
+  let current = [...name];
+  let runs = 0;
+  let progress = true;
+
+  while (progress && runs < maxRuns) {
+    progress = false;
+    for (const candidate of shrinkCandidates(current)) {
+      if (runs++ >= maxRuns) break;
+      if (await stillFails(candidate.join(""))) {
+        current = candidate;
+        progress = true;
+        break;
+      }
+    }
+  }
+
+  return current.join("");
+}
+
+function* shrinkCandidates(chars) {
+  for (let size = Math.ceil(chars.length / 2); size >= 1;) {
+    for (let start = 0; start < chars.length; start += size) {
+      const candidate = [
+        ...chars.slice(0, start),
+        ...chars.slice(start + size),
+      ];
+      if (candidate.length > 0) yield candidate;
+    }
+    size = size === 1 ? 0 : Math.ceil(size / 2);
+  }
+
+  for (let i = 0; i < chars.length; i++) {
+    if (!/[a-z]/.test(chars[i])) {
+      yield [...chars.slice(0, i), "a", ...chars.slice(i + 1)];
+    }
+  }
+}
+
+/**
+ * What makes two probe failures the same for shrinking: the reason plus,
+ * for unexpected errors, the error class or code they name (`TypeError`,
+ * `ENAMETOOLONG`). Details that quote the name itself are ignored.
+ */
+export function failureSignature(failure) {
+  if (failure.reason !== "unexpected-error") return failure.reason;
+  const kind = failure.details.match(/\b(?:[A-Z]\w*Error|E[A-Z]{2,})\b/);
+  return `${failure.reason}: ${kind ? kind[0] : failure.details}`;
+}
+
+// JSON quoting shows whitespace and invisible characters
+export function describeName(name) {
+  const quoted = JSON.stringify(name);
+  return quoted.length > 60
+    ? `${quoted.slice(0, 40)}..." (${[...name].length} chars)`
+    : quoted;
+}
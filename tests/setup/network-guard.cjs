@@ -0,0 +1,48 @@
+// tests/setup/network-guard.cjs
+// Preloaded into CLI processes (NODE_OPTIONS=--require) when a test runs
+// with `network: "deny"`. Connections to anything but loopback are
+// appended to UNIWEB_NETWORK_LOG and fail with ENETUNREACH; the harness
+// reads the log after each command. Loopback stays open for mock servers.
+const fs = require("fs");
+const net = require("net");
+
+const LOOPBACK =
+  /^(localhost|127\.\d+\.\d+\.\d+|::1|::ffff:127\.\d+\.\d+\.\d+)$/;
+const logFile = process.env.UNIWEB_NETWORK_LOG;
+
+// net.connect() hands Socket#connect its normalized [options, callback]
+function describeTarget(args) {
+  const [first, second] = Array.isArray(args[0]) ? args[0] : args;
+
+  if (first && typeof first === "object") {
+    return first.path
+      ? { path: first.path }
+      : { host: first.host || "localhost", port: first.port };
+  }
+  if (typeof first === "number" || /^\d+$/.test(String(first))) {
+    return {
+      host: typeof second === "string" ? second : "localhost",
+      port: Number(first),
+    };
+  }
+  return { path: first };
+}
+
+const connect = net.Socket.prototype.connect;
+
+net.Socket.prototype.connect = function (...args) {
+  const target = describeTarget(args);
+  if (target.path || LOOPBACK.test(target.host)) {
+    return connect.apply(this, args);
+  }
+
+  const where = `${target.host}:${target.port}`;
+  if (logFile) fs.appendFileSync(logFile, `${where}\n`);
+
+  const error = new Error(
+    `Network access blocked by the test harness: ${where}`
+  );
+  error.code = "ENETUNREACH";
+  process.nextTick(() => this.destroy(error));
+  return this;
+};
@@ -0,0 +1,143 @@
+// tests/setup/perf-baseline.js
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Committed, so every run compares against the same numbers
+export const BASELINE_FILE = path.resolve(
+  __dirname,
+  "../performance/baselines.json"
+);
+
+// The statistics kept per metric; the rest of the distribution is noise
+const RECORDED = ["runs", "min", "median", "p95", "stddev"];
+const LOCK_STALE_MS = 10000;
+
+/**
+ * "update" when UNIWEB_PERF_BASELINE=update (record the current timings
+ * as the baseline), otherwise "compare".
+ */
+export function baselineMode() {
+  return process.env.UNIWEB_PERF_BASELINE === "update" ? "update" : "compare";
+}
+
+// Allowed slowdown in percent before a metric counts as regressed
+export function defaultTolerance() {
+  return Number(process.env.UNIWEB_PERF_TOLERANCE) || 25;
+}
+
+/**
+ * Baselines by CLI version, then metric name:
+ * `{ "1.4.0": { "bulk-pages": { median, p95, ..., recordedAt } } }`.
+ */
+export async function readBaselines(file = BASELINE_FILE) {
+  if (!(await fs.pathExists(file))) return {};
+  return fs.readJson(file);
+}
+
+/**
+ * Record one metric for a CLI version. Test files running in parallel
+ * record into the same file, so the read-modify-write happens under a lock
+ * file and the result replaces the file atomically.
+ */
+export async function recordBaseline(
+  version,
+  name,
+  stats,
+  file = BASELINE_FILE
+) {
+  return withLock(file, async () => {
+    const baselines = await readBaselines(file);
+    const entry = { recordedAt: new Date().toISOString() };
+    for (const key of RECORDED) entry[key] = stats[key];
+    baselines[version] = { ...baselines[version], [name]: entry };
+
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.outputJson(temporary, sortKeys(baselines), { spaces: 2 });
+    await fs.rename(temporary, file);
+    return entry;
+  });
+}
+
+// Run `fn` while holding `<file>.lock`. A lock older than LOCK_STALE_MS is
+// left over from a crashed worker and taken over.
+async function withLock(file, fn) {
+  const lock = `${file}.lock`;
+  await fs.ensureDir(path.dirname(file));
+
+  for (;;) {
+    try {
+      await fs.writeFile(lock, String(process.pid), { flag: "wx" });
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      const stat = await fs.stat(lock).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.remove(lock);
+      } else {
+        await new Promise((resolve) => setTimeout(resolve, 25));
+      }
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.remove(lock);
+  }
+}
+
+/**
+ * The baseline a metric is compared against: the one recorded for the same
+ * CLI version, otherwise the most recently recorded one of another version
+ * (so a new release is checked against its predecessor). Null if none.
+ */
+export function findBaseline(baselines, version, name) {
+  if (baselines[version]?.[name]) {
+    return { version, ...baselines[version][name] };
+  }
+
+  let latest = null;
+  for (const [other, metrics] of Object.entries(baselines)) {
+    const entry = metrics[name];
+    if (entry && (!latest || entry.recordedAt > latest.recordedAt)) {
+      latest = { version: other, ...entry };
+    }
+  }
+  return latest;
+}
+
+/**
+ * Compare a statistic of the current timings with the baseline. `change`
+ * is the relative difference (0.3 = 30% slower); the metric has regressed
+ * when that exceeds `tolerance` percent.
+ */
+export function compareWithBaseline(stats, baseline, options = {}) {
+  const { statistic = "median", tolerance = defaultTolerance() } = options;
+  const current = stats[statistic];
+  const previous = baseline[statistic];
+  const change = previous > 0 ? (current - previous) / previous : 0;
+
+  return {
+    statistic,
+    current,
+    baseline: previous,
+    baselineVersion: baseline.version,
+    change,
+    tolerance,
+    regressed: change * 100 > tolerance,
+  };
+}
+
+function sortKeys(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.keys(value)
+      .sort()
+      .map((key) => [key, sortKeys(value[key])])
+  );
+}
@@ -0,0 +1,270 @@
+// tests/setup/perf-report.js
+import crypto from "crypto";
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+import { formatBytes, formatStats } from "./benchmark-stats.js";
+import {
+  compareWithBaseline,
+  findBaseline,
+  readBaselines,
+} from "./perf-baseline.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(__dirname, "../..");
+// Metrics of each test, written by the workers and read by the reporter
+export const RESULTS_DIR = path.join(repoRoot, ".perf-results");
+// performance-report.{json,md,html}, next to test-results.xml
+export const REPORT_BASE = path.join(repoRoot, "performance-report");
+
+const SPARKS = "▁▂▃▄▅▆▇█";
+
+/**
+ * Save one PerformanceHelper's metrics for the report. Each call writes its
+ * own file, since tests run in parallel worker processes.
+ */
+export async function saveTestMetrics(test, perf, dir = RESULTS_DIR) {
+  if (Object.keys(perf.metrics).length === 0) return;
+
+  const id = crypto.randomBytes(4).toString("hex");
+  await fs.outputJson(path.join(dir, `${process.pid}-${id}.json`), {
+    test,
+    cliVersion: perf.cliVersion(),
+    metrics: perf.metrics,
+  });
+}
+
+/**
+ * Every saved metric with its baseline comparison and trend: the medians
+ * of the baselines recorded for each CLI version, oldest first, followed
+ * by the current one. Sorted by test, then metric (add-page@10 after
+ * add-page@5).
+ */
+export async function buildPerformanceReport(options = {}) {
+  const { dir = RESULTS_DIR, baselineFile } = options;
+  const baselines = await readBaselines(baselineFile);
+  const metrics = [];
+
+  const files = (await fs.pathExists(dir)) ? await fs.readdir(dir) : [];
+  for (const file of files.filter((name) => name.endsWith(".json"))) {
+    const saved = await fs.readJson(path.join(dir, file));
+
+    for (const [name, stats] of Object.entries(saved.metrics)) {
+      const baseline = findBaseline(baselines, saved.cliVersion, name);
+      const history = Object.entries(baselines)
+        .filter(([, recorded]) => recorded[name])
+        .map(([version, recorded]) => ({ version, ...recorded[name] }))
+        .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt))
+        .map(({ version, median }) => ({ version, median }));
+
+      metrics.push({
+        test: saved.test,
+        name,
+        cliVersion: saved.cliVersion,
+        ...stats,
+        comparison: baseline ? compareWithBaseline(stats, baseline) : null,
+        trend: [...history, { version: "current", median: stats.median }],
+      });
+    }
+  }
+
+  metrics.sort(
+    (a, b) =>
+      a.test.localeCompare(b.test) ||
+      a.name.localeCompare(b.name, "en", { numeric: true })
+  );
+  return {
+    generatedAt: new Date().toISOString(),
+    regressions: metrics.filter((metric) => metric.comparison?.regressed)
+      .length,
+    metrics,
+  };
+}
+
+// One block character per value, scaled between their min and max
+export function sparkline(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return values
+    .map((value) =>
+      range > 0
+        ? SPARKS[Math.round(((value - min) / range) * (SPARKS.length - 1))]
+        : SPARKS[0]
+    )
+    .join("");
+}
+
+export function renderMarkdown(report) {
+  const lines = [
+    "# Performance Report",
+    "",
+    `Generated ${report.generatedAt}: ${report.metrics.length} metrics, ${report.regressions} regressions.`,
+  ];
+
+  for (const [test, metrics] of groupByTest(report.metrics)) {
+    lines.push(
+      "",
+      `## ${escapeMarkdown(test)}`,
+      "",
+      "| Metric | Median | p95 | Min | Stddev | Runs | Peak RSS | CPU | Baseline | Change | Trend |",
+      "| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | --- |"
+    );
+    for (const metric of metrics) {
+      const cells = [
+        markdownCode(metric.name),
+        ms(metric.median),
+        ms(metric.p95),
+        ms(metric.min),
+        ms(metric.stddev),
+        metric.runs,
+        ...describeResources(metric.resources),
+        ...describeComparison(metric.comparison),
+        sparkline(metric.trend.map((point) => point.median)),
+      ];
+      lines.push(`| ${cells.join(" | ")} |`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+export function renderHtml(report) {
+  const sections = groupByTest(report.metrics).map(([test, metrics]) => {
+    const rows = metrics.map((metric) => {
+      const [baseline, change] = describeComparison(metric.comparison);
+      const [peakRss, cpu] = describeResources(metric.resources);
+      const status = metric.comparison?.regressed ? ' class="regressed"' : "";
+      return `<tr${status}><td><code>${escapeHtml(metric.name)}</code></td>
+<td>${ms(metric.median)}</td><td>${ms(metric.p95)}</td><td>${ms(
+        metric.min
+      )}</td><td>${ms(metric.stddev)}</td><td>${metric.runs}</td>
+<td>${peakRss}</td><td>${cpu}</td><td>${baseline}</td><td>${escapeHtml(change)}</td><td>${sparklineSvg(
+        metric.trend
+      )}</td></tr>`;
+    });
+    return `<h2>${escapeHtml(test)}</h2>
+<table>
+<tr><th>Metric</th><th>Median</th><th>p95</th><th>Min</th><th>Stddev</th><th>Runs</th><th>Peak RSS</th><th>CPU</th><th>Baseline</th><th>Change</th><th>Trend</th></tr>
+${rows.join("\n")}
+</table>`;
+  });
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Performance Report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+tr.regressed { background: #fde8e8; }
+</style>
+</head>
+<body>
+<h1>Performance Report</h1>
+<p>Generated ${report.generatedAt}: ${report.metrics.length} metrics, ${
+    report.regressions
+  } regressions.</p>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+// Write performance-report.json, .md and .html; returns their paths
+export async function writePerformanceReport(report, base = REPORT_BASE) {
+  const files = [`${base}.json`, `${base}.md`, `${base}.html`];
+  await fs.outputJson(files[0], report, { spaces: 2 });
+  await fs.outputFile(files[1], renderMarkdown(report));
+  await fs.outputFile(files[2], renderHtml(report));
+  return files;
+}
+
+// "bulk-pages: median 12.3ms, ... - +28% (regressed) vs uniweb 1.4.0"
+export function formatReportLine(metric) {
+  const [, change] = describeComparison(metric.comparison);
+  const suffix = metric.comparison
+    ? ` - ${change} vs uniweb ${metric.comparison.baselineVersion}`
+    : "";
+  return `${metric.name}: ${formatStats(metric)}${suffix}`;
+}
+
+function groupByTest(metrics) {
+  const groups = new Map();
+  for (const metric of metrics) {
+    groups.set(metric.test, [...(groups.get(metric.test) || []), metric]);
+  }
+  return [...groups];
+}
+
+// [peak RSS, CPU] cells; sampled only with `resources: true`
+function describeResources(resources) {
+  if (!resources) return ["-", "-"];
+  return [formatBytes(resources.peakRss), `${resources.cpuTime}ms`];
+}
+
+// [baseline, change] cells
+function describeComparison(comparison) {
+  if (!comparison) return ["-", "-"];
+
+  const percent = (comparison.change * 100).toFixed(0);
+  const change = `${comparison.change > 0 ? "+" : ""}${percent}%`;
+  return [
+    ms(comparison.baseline),
+    comparison.regressed ? `${change} (regressed)` : change,
+  ];
+}
+
+function sparklineSvg(trend) {
+  const width = 80;
+  const height = 20;
+  const values = trend.map((point) => point.median);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const points = values
+    .map(
+      (value, i) =>
+        `${(i * step).toFixed(1)},${(
+          height -
+          ((value - min) / range) * (height - 2) -
+          1
+        ).toFixed(1)}`
+    )
+    .join(" ");
+  const title = trend
+    .map((point) => `${point.version}: ${ms(point.median)}`)
+    .join(", ");
+
+  return `<svg width="${width}" height="${height}"><title>${escapeHtml(
+    title
+  )}</title><polyline points="${points}" fill="none" stroke="#36c" stroke-width="1.5"/></svg>`;
+}
+
+function ms(value) {
+  return `${value.toFixed(1)}ms`;
+}
+
+// Backslash Markdown punctuation in a test name so it shows as typed
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]<>#|]/g, "\\$&");
+}
+
+// A code span for a table cell: its fence is longer than any run of
+// backticks in the text, and `|` is escaped so it doesn't end the cell
+function markdownCode(text) {
+  const runs = String(text).match(/`+/g) || [];
+  const fence = "`".repeat(Math.max(0, ...runs.map((run) => run.length)) + 1);
+  const padded = /^`|`$/.test(text) ? ` ${text} ` : text;
+  return `${fence}${padded.replace(/\|/g, "\\|")}${fence}`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
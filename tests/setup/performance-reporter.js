@@ -0,0 +1,44 @@
+// tests/setup/performance-reporter.js
+import fs from "fs-extra";
+import path from "path";
+import {
+  buildPerformanceReport,
+  formatReportLine,
+  RESULTS_DIR,
+  writePerformanceReport,
+} from "./perf-report.js";
+
+/**
+ * Vitest reporter that collects the PerformanceHelper metrics of every
+ * test in the run into performance-report.json, .md and .html. Add it next
+ * to the usual reporter:
+ *
+ *   vitest run --reporter=verbose --reporter=./tests/setup/performance-reporter.js
+ *
+ * The console only lists regressed metrics. Runs without metrics leave
+ * the previous report alone.
+ */
+export default class PerformanceReporter {
+  // Vitest doesn't wait for onInit, so clear old results synchronously
+  onInit() {
+    fs.removeSync(RESULTS_DIR);
+  }
+
+  async onFinished() {
+    const report = await buildPerformanceReport();
+    await fs.remove(RESULTS_DIR);
+    if (report.metrics.length === 0) return;
+
+    const files = await writePerformanceReport(report);
+    console.log(
+      [
+        "",
+        `Performance: ${report.metrics.length} metrics, ${report.regressions} regressions`,
+        ...report.metrics
+          .filter((metric) => metric.comparison?.regressed)
+          .map((metric) => `  ${formatReportLine(metric)}`),
+        `Report: ${files.map((file) => path.basename(file)).join(", ")}`,
+      ].join("\n")
+    );
+  }
+}
@@ -0,0 +1,146 @@
+// tests/setup/process-sampler.js
+import fs from "fs";
+import fsp from "fs/promises";
+
+const PROC = "/proc";
+// USER_HZ; 100 on every mainstream Linux build
+const CLOCK_TICKS_PER_SECOND = 100;
+
+// Whether this platform has the /proc files the sampler reads
+export const SAMPLING_SUPPORTED = fs.existsSync(
+  `${PROC}/self/task/${process.pid}/children`
+);
+
+/**
+ * Samples the memory and CPU use of a command and every process it starts
+ * while it runs, from /proc (Linux only; see SAMPLING_SUPPORTED).
+ * The command must lead its own process group (PROCESS_TREE_OPTIONS). Each
+ * sample walks down from the command and the processes seen so far, so
+ * children left behind by an exited parent are still found, and reads
+ * them asynchronously to stay off the timed operation's event loop.
+ *
+ * Peak RSS is the largest sum of the tree's resident memory seen in one
+ * sample. CPU time is the largest total seen of each process's own user
+ * and system time plus that of the children it already reaped (cutime,
+ * cstime). Time spent after the last sample, and by processes that start
+ * and exit between two samples without being reaped by the tree, is
+ * missed, so both are lower bounds.
+ */
+export class ProcessSampler {
+  constructor(pid, options = {}) {
+    this.pid = pid;
+    this.interval = options.interval ?? 100;
+    this.known = new Set([pid]);
+    this.peakRss = 0;
+    this.cpuTicks = 0;
+    this.sampleCount = 0;
+    this.pending = null;
+    this.timer = null;
+  }
+
+  start() {
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.interval);
+    return this;
+  }
+
+  // Takes a last sample once the command has exited, for descendants still
+  // running; resolves to { peakRss (bytes), cpuTime (ms), samples }
+  async stop() {
+    clearInterval(this.timer);
+    await this.pending;
+    await this.sample();
+
+    return {
+      peakRss: this.peakRss,
+      cpuTime: (this.cpuTicks * 1000) / CLOCK_TICKS_PER_SECOND,
+      samples: this.sampleCount,
+    };
+  }
+
+  // Skip a tick while the previous sample is still reading
+  tick() {
+    if (this.pending) return;
+    this.pending = this.sample().finally(() => {
+      this.pending = null;
+    });
+  }
+
+  async sample() {
+    const queue = [...this.known];
+    const seen = new Set();
+    let rss = 0;
+    let ticks = 0;
+    let found = false;
+
+    while (queue.length > 0) {
+      const pid = queue.shift();
+      if (seen.has(pid)) continue;
+      seen.add(pid);
+
+      // Gone, or the pid was reused outside the command's group
+      const stat = await readStat(pid);
+      if (!stat || stat.pgrp !== this.pid) {
+        this.known.delete(pid);
+        continue;
+      }
+
+      found = true;
+      this.known.add(pid);
+      rss += await readRss(pid);
+      ticks += stat.utime + stat.stime + stat.cutime + stat.cstime;
+      queue.push(...(await readChildren(pid)));
+    }
+
+    if (found) {
+      this.sampleCount++;
+      this.peakRss = Math.max(this.peakRss, rss);
+      this.cpuTicks = Math.max(this.cpuTicks, ticks);
+    }
+  }
+}
+
+// Fields of /proc/<pid>/stat after the command name, which may itself
+// contain spaces and parentheses
+async function readStat(pid) {
+  try {
+    const text = await fsp.readFile(`${PROC}/${pid}/stat`, "utf8");
+    const fields = text.slice(text.lastIndexOf(")") + 2).split(" ");
+    return {
+      pgrp: Number(fields[2]),
+      utime: Number(fields[11]),
+      stime: Number(fields[12]),
+      cutime: Number(fields[13]),
+      cstime: Number(fields[14]),
+    };
+  } catch {
+    return null; // Exited while we looked
+  }
+}
+
+async function readRss(pid) {
+  try {
+    const status = await fsp.readFile(`${PROC}/${pid}/status`, "utf8");
+    const match = status.match(/^VmRSS:\s+(\d+) kB/m);
+    return match ? Number(match[1]) * 1024 : 0;
+  } catch {
+    return 0;
+  }
+}
+
+// Direct children of every thread of the process
+async function readChildren(pid) {
+  try {
+    const children = [];
+    for (const task of await fsp.readdir(`${PROC}/${pid}/task`)) {
+      const text = await fsp.readFile(
+        `${PROC}/${pid}/task/${task}/children`,
+        "utf8"
+      );
+      children.push(...text.split(" ").filter(Boolean).map(Number));
+    }
+    return children;
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,77 @@
+// tests/setup/process-tree.js
+import { execa } from "execa";
+
+const WINDOWS = process.platform === "win32";
+
+// execa options that let killProcessTree reach every descendant. On POSIX
+// the command leads its own process group; Windows uses taskkill /T.
+export const PROCESS_TREE_OPTIONS = WINDOWS ? {} : { detached: true };
+
+// Leaders of the process groups started with PROCESS_TREE_OPTIONS that are
+// still running. Their groups don't get the terminal's Ctrl-C or vitest's
+// worker teardown, so killLiveProcessTrees has to reach them instead.
+const liveTrees = new Set();
+
+/**
+ * Remember a command started with PROCESS_TREE_OPTIONS until it exits, so
+ * killLiveProcessTrees can stop it when the worker exits or is interrupted.
+ * `owned` is the caller's own set of live groups (a TestEnvironment's), so
+ * it can stop just the commands it started.
+ */
+export function trackProcessTree(subprocess, owned) {
+  if (WINDOWS || !subprocess.pid) return subprocess;
+
+  liveTrees.add(subprocess.pid);
+  owned?.add(subprocess.pid);
+  const forget = () => {
+    liveTrees.delete(subprocess.pid);
+    owned?.delete(subprocess.pid);
+  };
+  subprocess.then(forget, forget);
+  return subprocess;
+}
+
+// Synchronous, so it also works from an "exit" handler
+export function killLiveProcessTrees(trees = liveTrees, signal = "SIGKILL") {
+  for (const pid of [...trees]) {
+    try {
+      process.kill(-pid, signal);
+    } catch {
+      // The group is already gone
+    }
+    liveTrees.delete(pid);
+  }
+  trees.clear();
+}
+
+if (!WINDOWS) {
+  process.on("exit", () => killLiveProcessTrees());
+  for (const signal of ["SIGINT", "SIGTERM", "SIGHUP"]) {
+    process.once(signal, () => {
+      killLiveProcessTrees();
+      // Without other handlers, end the process by the signal as before
+      if (process.listenerCount(signal) === 0) {
+        process.kill(process.pid, signal);
+      }
+    });
+  }
+}
+
+/**
+ * Kill a command started with PROCESS_TREE_OPTIONS together with every
+ * process it spawned, so nothing keeps running (or keeps its output pipes
+ * open) after the test moves on. Already-exited processes are ignored.
+ */
+export async function killProcessTree(subprocess, signal = "SIGKILL") {
+  if (!subprocess.pid) return;
+
+  try {
+    if (WINDOWS) {
+      await execa("taskkill", ["/pid", String(subprocess.pid), "/T", "/F"]);
+    } else {
+      process.kill(-subprocess.pid, signal);
+    }
+  } catch {
+    // The group is already gone
+  }
+}
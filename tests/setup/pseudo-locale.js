@@ -0,0 +1,119 @@
+// tests/setup/pseudo-locale.js
+import { splitFrontMatter } from "./section-parser.js";
+
+const ACCENTS = {
+  a: "á",
+  b: "ƀ",
+  c: "ç",
+  d: "ð",
+  e: "é",
+  f: "ƒ",
+  g: "ĝ",
+  h: "ĥ",
+  i: "î",
+  j: "ĵ",
+  k: "ķ",
+  l: "ļ",
+  m: "ɱ",
+  n: "ñ",
+  o: "ö",
+  p: "þ",
+  q: "ǫ",
+  r: "ŕ",
+  s: "š",
+  t: "ţ",
+  u: "û",
+  v: "ṽ",
+  w: "ŵ",
+  x: "ẋ",
+  y: "ý",
+  z: "ž",
+  A: "Å",
+  B: "Ɓ",
+  C: "Ç",
+  D: "Ð",
+  E: "É",
+  F: "Ƒ",
+  G: "Ĝ",
+  H: "Ĥ",
+  I: "Î",
+  J: "Ĵ",
+  K: "Ķ",
+  L: "Ļ",
+  M: "Ṁ",
+  N: "Ñ",
+  O: "Ö",
+  P: "Þ",
+  Q: "Ǫ",
+  R: "Ŕ",
+  S: "Š",
+  T: "Ţ",
+  U: "Û",
+  V: "Ṽ",
+  W: "Ŵ",
+  X: "Ẋ",
+  Y: "Ý",
+  Z: "Ž",
+};
+
+// Markdown syntax that must come through untouched: block markers at the
+// start of a line, emphasis markers, inline code, link and image targets
+// with their attribute blocks, bare attribute blocks, HTML tags and URLs.
+const PROTECTED =
+  /^\s*(?:#{1,6}|[-*+]|\d+[.)]|>)\s+|`[^`]*`|\]\([^)]*\)(?:\{[^}]*\})?|\{[^}]*\}|<[^>]+>|https?:\/\/\S+|!\[|\*{1,2}|\[|\|/g;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Accent every letter of plain text and pad it by about 40%, wrapped in
+ * ⟦ ⟧ so truncated or unexpanded text is easy to spot.
+ */
+export function pseudoLocalizeText(text) {
+  const accented = [...text].map((char) => ACCENTS[char] || char).join("");
+  const padding = "·".repeat(Math.ceil(text.trim().length * 0.4));
+  return `⟦${accented}${padding ? ` ${padding}` : ""}⟧`;
+}
+
+/**
+ * Pseudo-localize a section: the front matter is kept byte for byte, code
+ * blocks and markdown syntax are left alone, and each line's text is
+ * accented and expanded.
+ */
+export function pseudoLocalizeMarkdown(markdown) {
+  const { body } = splitFrontMatter(markdown);
+  const frontMatter = markdown.slice(0, markdown.length - body.length);
+  let inFence = false;
+
+  const lines = body.split("\n").map((line) => {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+      return line;
+    }
+    return inFence ? line : pseudoLocalizeLine(line);
+  });
+
+  return frontMatter + lines.join("\n");
+}
+
+function pseudoLocalizeLine(line) {
+  if (!/[A-Za-z]/.test(line)) return line;
+
+  // Split into protected markup and the text between it
+  const parts = [];
+  let last = 0;
+  for (const match of line.matchAll(PROTECTED)) {
+    parts.push({ text: line.slice(last, match.index), markup: false });
+    parts.push({ text: match[0], markup: true });
+    last = match.index + match[0].length;
+  }
+  parts.push({ text: line.slice(last), markup: false });
+
+  return parts
+    .map((part) =>
+      part.markup || !/[A-Za-z]/.test(part.text)
+        ? part.text
+        : part.text.replace(/^(\s*)(.*?)(\s*)$/, (_, lead, text, trail) => {
+            return `${lead}${pseudoLocalizeText(text)}${trail}`;
+          })
+    )
+    .join("");
+}
@@ -0,0 +1,349 @@
+// tests/setup/section-parser.js
+import yaml from "yaml";
+
+const FRONT_MATTER = /^---\r?\n(?:([\s\S]*?)\r?\n)??---[ \t]*(?:\r?\n|$)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*(?:\{([^}]*)\})?\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE = /^(```|~~~)\s*([\w+-]*)/;
+const BLOCKQUOTE = /^>\s?(.*)$/;
+const TABLE_ROW = /^\|(.*)\|\s*$/;
+const TABLE_SEPARATOR = /^\|(\s*:?-+:?\s*\|)+\s*$/;
+const DIVIDER = /^(\*\s*){3,}$|^(_\s*){3,}$/;
+const SUB_BLOCK = /^-{3,}\s*$/;
+const IMAGE = /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)(?:\{([^}]*)\})?/g;
+const LINK =
+  /(?<!!)\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)(?:\{([^}]*)\})?/g;
+const EMPHASIS =
+  /(\*\*|__)(.+?)\1|(?<![*_\w])([*_])(?!\s)(.+?)(?<!\s)\3(?![*_\w])/g;
+const ICON_PREFIX = "icon:";
+
+/**
+ * Parse a section .md file into its front matter and body structure.
+ *
+ * Understands the constructs ContentBuilder writes: headings, paragraphs,
+ * ordered and nested lists, code blocks, blockquotes, tables, dividers,
+ * images, icons, inline emphasis, and links, headings and images with
+ * Uniweb `{...}` attribute blocks. A `---` line starts a new sub-block.
+ *
+ * Besides the ordered `blocks` (and the same blocks split into `subBlocks`),
+ * the result indexes `headings`, `paragraphs`, `lists`, `codeBlocks`,
+ * `blockquotes`, `tables`, `links`, `images`, `icons` and `emphasis`. Links,
+ * images, icons and emphasis include inline ones, nested lists included.
+ */
+export function parseSection(text) {
+  const { frontMatter, body } = splitFrontMatter(text);
+  const blocks = parseBlocks(body);
+  const section = {
+    frontMatter,
+    blocks: blocks.filter((block) => block.type !== "sub-block"),
+    subBlocks: [[]],
+    headings: [],
+    paragraphs: [],
+    lists: [],
+    codeBlocks: [],
+    blockquotes: [],
+    tables: [],
+    links: [],
+    images: [],
+    icons: [],
+    emphasis: [],
+  };
+  const index = {
+    heading: section.headings,
+    paragraph: section.paragraphs,
+    list: section.lists,
+    code: section.codeBlocks,
+    blockquote: section.blockquotes,
+    table: section.tables,
+  };
+
+  for (const block of blocks) {
+    if (block.type === "sub-block") {
+      section.subBlocks.push([]);
+      continue;
+    }
+    section.subBlocks[section.subBlocks.length - 1].push(block);
+    index[block.type]?.push(block);
+    if (block.type === "image") section.images.push(block.image);
+    if (block.type === "icon") section.icons.push(block.icon);
+    collectInline(block, section);
+  }
+
+  return section;
+}
+
+/**
+ * Separate the YAML front matter of a section from its markdown body.
+ * Sections without front matter get an empty object. Only a YAML mapping
+ * (or nothing) between the `---` lines counts as front matter; anything
+ * else is a body that starts with a sub-block.
+ */
+export function splitFrontMatter(text) {
+  const match = text.match(FRONT_MATTER);
+  const frontMatter = match ? parseMapping(match[1] ?? "") : null;
+  if (!frontMatter) return { frontMatter: {}, body: text };
+  return { frontMatter, body: text.slice(match[0].length) };
+}
+
+// The YAML mapping in `source` ({} when empty), or null for anything else
+function parseMapping(source) {
+  try {
+    const value = yaml.parse(source) ?? {};
+    return typeof value === "object" && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split a `{...}` attribute block into its tokens, e.g.
+ * `{button-primary .wide target=_blank}` -> ["button-primary", ".wide",
+ * "target=_blank"].
+ */
+export function parseAttributes(source) {
+  return source ? source.trim().split(/\s+/).filter(Boolean) : [];
+}
+
+function parseBlocks(body) {
+  const lines = body.split(/\r?\n/);
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith(fence[1])) {
+        code.push(lines[i++]);
+      }
+      i++; // closing fence
+      blocks.push({
+        type: "code",
+        language: fence[2] || null,
+        code: code.join("\n"),
+      });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        text: heading[2],
+        attrs: parseAttributes(heading[3]),
+        ...parseInline(heading[2]),
+      });
+      i++;
+      continue;
+    }
+
+    if (SUB_BLOCK.test(line)) {
+      blocks.push({ type: "sub-block" });
+      i++;
+      continue;
+    }
+
+    if (DIVIDER.test(line.trim())) {
+      blocks.push({ type: "divider" });
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        quoted.push(lines[i++].match(BLOCKQUOTE)[1]);
+      }
+      const text = quoted.join("\n");
+      blocks.push({ type: "blockquote", text, ...parseInline(text) });
+      continue;
+    }
+
+    if (TABLE_ROW.test(line) && TABLE_SEPARATOR.test(lines[i + 1] || "")) {
+      const headers = splitRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && TABLE_ROW.test(lines[i])) {
+        rows.push(splitRow(lines[i++]));
+      }
+      blocks.push({ type: "table", headers, rows });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const items = [];
+      while (
+        i < lines.length &&
+        (LIST_ITEM.test(lines[i]) || /^\s+\S/.test(lines[i]))
+      ) {
+        items.push(lines[i++]);
+      }
+      appendList(blocks, buildList(items));
+      continue;
+    }
+
+    const paragraph = [lines[i++]];
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+      paragraph.push(lines[i++]);
+    }
+    const text = paragraph.join("\n");
+    const images = [...text.matchAll(IMAGE)];
+
+    if (images.length === 1 && images[0][0] === text.trim()) {
+      const image = toImage(images[0]);
+      blocks.push(
+        image.src.startsWith(ICON_PREFIX)
+          ? { type: "icon", icon: toIcon(image) }
+          : { type: "image", image }
+      );
+    } else {
+      blocks.push({ type: "paragraph", text, ...parseInline(text) });
+    }
+  }
+
+  return blocks;
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return (
+    FENCE.test(line) ||
+    HEADING.test(line) ||
+    SUB_BLOCK.test(line) ||
+    DIVIDER.test(line.trim()) ||
+    BLOCKQUOTE.test(line) ||
+    LIST_ITEM.test(line) ||
+    (TABLE_ROW.test(line) && TABLE_SEPARATOR.test(lines[i + 1] || ""))
+  );
+}
+
+function splitRow(line) {
+  return line
+    .trim()
+    .replace(/^\||\|$/g, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+// Turn indented list lines into a tree: items indented past their
+// predecessor become its `children` list.
+function buildList(lines) {
+  const root = { type: "list", ordered: null, marker: null, items: [] };
+  const stack = [];
+
+  for (const line of lines) {
+    const match = line.match(LIST_ITEM);
+    if (!match) {
+      // Continuation line of the previous item
+      const { list } = stack[stack.length - 1];
+      const item = list.items[list.items.length - 1];
+      item.text += `\n${line.trim()}`;
+      Object.assign(item, parseInline(item.text));
+      continue;
+    }
+
+    const [, whitespace, marker, text] = match;
+    const indent = whitespace.length;
+
+    if (stack.length === 0) {
+      stack.push({ indent, list: root });
+    } else if (indent > stack[stack.length - 1].indent) {
+      const { list } = stack[stack.length - 1];
+      const parent = list.items[list.items.length - 1];
+      parent.children = {
+        type: "list",
+        ordered: null,
+        marker: null,
+        items: [],
+      };
+      stack.push({ indent, list: parent.children });
+    } else {
+      while (stack.length > 1 && indent < stack[stack.length - 1].indent) {
+        stack.pop();
+      }
+    }
+
+    const { list } = stack[stack.length - 1];
+    if (list.ordered === null) {
+      list.ordered = /\d/.test(marker);
+      // "-", "*" or "+"; the delimiter ("." or ")") for ordered lists
+      list.marker = marker.slice(-1);
+    }
+    list.items.push({ text, children: null, ...parseInline(text) });
+  }
+
+  return root;
+}
+
+// Loose lists (items separated by blank lines, as older ContentBuilder
+// output has) arrive in pieces. As in CommonMark, a list continues after a
+// blank line when its marker stays the same; another marker ("-" then "*",
+// "1." then "1)") starts a separate list.
+function appendList(blocks, list) {
+  const previous = blocks[blocks.length - 1];
+
+  if (
+    previous?.type === "list" &&
+    previous.ordered === list.ordered &&
+    previous.marker === list.marker
+  ) {
+    previous.items.push(...list.items);
+  } else {
+    blocks.push(list);
+  }
+}
+
+function collectInline(block, section) {
+  section.links.push(...(block.links || []));
+  section.images.push(...(block.images || []));
+  section.icons.push(...(block.icons || []));
+  section.emphasis.push(...(block.emphasis || []));
+
+  for (const item of block.items || []) {
+    collectInline(item, section);
+    if (item.children) collectInline(item.children, section);
+  }
+}
+
+function parseInline(text) {
+  const images = [...text.matchAll(IMAGE)].map(toImage);
+
+  return {
+    links: [...text.matchAll(LINK)].map((match) => ({
+      text: match[1],
+      href: match[2],
+      title: match[3] || null,
+      attrs: parseAttributes(match[4]),
+    })),
+    images: images.filter((image) => !image.src.startsWith(ICON_PREFIX)),
+    icons: images
+      .filter((image) => image.src.startsWith(ICON_PREFIX))
+      .map(toIcon),
+    emphasis: [...text.matchAll(EMPHASIS)].map((match) => ({
+      strong: Boolean(match[1]),
+      text: match[2] || match[4],
+    })),
+  };
+}
+
+function toImage(match) {
+  return {
+    alt: match[1],
+    src: match[2],
+    title: match[3] || null,
+    attrs: parseAttributes(match[4]),
+  };
+}
+
+function toIcon(image) {
+  return { name: image.src.slice(ICON_PREFIX.length), attrs: image.attrs };
+}
@@ -0,0 +1,117 @@
+// tests/setup/section-tree.js
+import { expect } from "vitest";
+
+/**
+ * Parent/child model of a page.yml `sections` list.
+ *
+ * Accepts the forms the CLI may write for a section with children:
+ * `{ "service-tabs": [...] }` or `{ name: "service-tabs", sections: [...] }`
+ * (`children` also works), so assertions don't depend on the exact format.
+ */
+export class SectionTree {
+  constructor(sections = [], source = "page.yml") {
+    this.source = source;
+    this.root = { name: null, parent: null, depth: -1, children: [] };
+    this.root.children = buildNodes(sections || [], this.root);
+  }
+
+  // Every node, depth first, in page order
+  get nodes() {
+    const nodes = [];
+    const walk = (node) => {
+      for (const child of node.children) {
+        nodes.push(child);
+        walk(child);
+      }
+    };
+    walk(this.root);
+    return nodes;
+  }
+
+  find(name) {
+    return this.nodes.find((node) => node.name === name) || null;
+  }
+
+  // Names from the top-level ancestor down to the section, e.g.
+  // ["service-tabs", "web-development"]; null if it isn't on the page.
+  getSectionPath(name) {
+    const node = this.find(name);
+    if (!node) return null;
+
+    const path = [];
+    for (let current = node; current.parent; current = current.parent) {
+      path.unshift(current.name);
+    }
+    return path;
+  }
+
+  getChildrenOf(name) {
+    const node = name === null ? this.root : this.find(name);
+    return node ? node.children.map((child) => child.name) : null;
+  }
+
+  // Indented outline, one section per line; used for readable diffs
+  format() {
+    return this.nodes
+      .map((node) => `${"  ".repeat(node.depth)}${node.name}`)
+      .join("\n");
+  }
+
+  expectSectionTree(expected, message) {
+    const expectedTree =
+      expected instanceof SectionTree ? expected : new SectionTree(expected);
+    expect(
+      this.format(),
+      message || `Unexpected section tree in ${this.source}`
+    ).toBe(expectedTree.format());
+  }
+
+  // The sections appear in this relative order (others may sit between)
+  expectSectionOrder(names, message) {
+    const order = this.nodes.map((node) => node.name);
+    const present = order.filter((name) => names.includes(name));
+    expect(
+      present,
+      message ||
+        `Expected sections of ${this.source} in the order ${names.join(
+          ", "
+        )}\n${this.format()}`
+    ).toEqual(names);
+  }
+
+  expectChildrenOf(name, children, message) {
+    expect(
+      this.getChildrenOf(name),
+      message ||
+        `Expected ${name} in ${this.source} to have children ${children.join(
+          ", "
+        )}\n${this.format()}`
+    ).toEqual(children);
+  }
+}
+
+function buildNodes(sections, parent) {
+  return sections.map((entry) => {
+    const { name, children } = normalizeEntry(entry);
+    const node = { name, parent, depth: parent.depth + 1, children: [] };
+    node.children = buildNodes(children, node);
+    return node;
+  });
+}
+
+function normalizeEntry(entry) {
+  if (typeof entry === "string") return { name: entry, children: [] };
+
+  if (entry && typeof entry === "object" && "name" in entry) {
+    return {
+      name: entry.name,
+      children: entry.sections || entry.children || [],
+    };
+  }
+
+  const [name, children] = Object.entries(entry || {})[0] || [];
+  return {
+    name: String(name),
+    children: Array.isArray(children) ? children : [],
+  };
+}
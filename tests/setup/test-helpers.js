@@ -1,32 +1,203 @@
 // tests/setup/test-helpers.js
 import { execa } from "execa";
+import crypto from "crypto";
 import fs from "fs-extra";
 import path from "path";
 import temporaryDirectory from "temp-dir";
 import { fileURLToPath } from "url";
 import yaml from "yaml";
-import { expect } from "vitest";
+import { expect, onTestFailed } from "vitest";
+import { resolveUniwebBinary } from "./cli-binary.js";
+import {
+  buildHermeticEnv,
+  createHermeticHome,
+  takeNetworkAttempts,
+} from "./hermetic-env.js";
+import { InteractiveSession } from "./interactive-session.js";
+import {
+  killLiveProcessTrees,
+  killProcessTree,
+  PROCESS_TREE_OPTIONS,
+  trackProcessTree,
+} from "./process-tree.js";
+import { ProcessSampler, SAMPLING_SUPPORTED } from "./process-sampler.js";
+import { formatBytes } from "./benchmark-stats.js";
+import { SectionTree } from "./section-tree.js";
+import { hashContent } from "./locale-report.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Written next to the JUnit output (test-results.xml) in the repo root
+const transcriptDir = path.resolve(__dirname, "../../test-transcripts");
+// Never hashed when tracking which files a command changed
+const UNTRACKED = ["node_modules", ".git"];
+
+// Workflow helpers that can be chained. Calling one records a step on an
+// OperationChain; the steps only run, in order, once the chain is awaited.
+const CHAINABLE_STEPS = [
+  "initProject",
+  "addPage",
+  "addSection",
+  "setSection",
+  "addLocale",
+  "linkModule",
+  "navigateToProject",
+  "navigateToSite",
+  "navigateToPage",
+];
+
+// "describe > test", the way vitest names the test in expect.getState()
+function fullTestName(task) {
+  const names = [];
+  let current = task;
+  // The file is the outermost suite and isn't part of the name
+  while (current && !current.filepath) {
+    if (current.name) names.unshift(current.name);
+    current = current.suite || current.file;
+  }
+  return names.join(" > ");
+}
+
+export class OperationChain {
+  constructor(env) {
+    this.env = env;
+    this.steps = [];
+    this.running = null;
+  }
+
+  enqueue(name, args, run) {
+    if (this.running) {
+      throw new Error(
+        `Cannot add step ${name}() to a chain that has already been awaited`
+      );
+    }
+    this.steps.push({ name, args, run });
+    return this;
+  }
+
+  describeStep(step) {
+    const args = step.args
+      .map((arg) => {
+        if (typeof arg !== "string") return "{...}";
+        return JSON.stringify(arg.length > 40 ? `${arg.slice(0, 37)}...` : arg);
+      })
+      .join(", ");
+    return `${step.name}(${args})`;
+  }
+
+  async execute() {
+    for (const [index, step] of this.steps.entries()) {
+      try {
+        await step.run.apply(this.env, step.args);
+      } catch (error) {
+        const location = `step ${index + 1} of ${
+          this.steps.length
+        }, ${this.describeStep(step)}`;
+        error.message = `Chain failed at ${location}: ${error.message}`;
+        throw error;
+      }
+    }
+    return this.env;
+  }
+
+  then(onFulfilled, onRejected) {
+    if (!this.running) this.running = this.execute();
+    return this.running.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.then(undefined, onRejected);
+  }
+
+  finally(onFinally) {
+    return this.then().finally(onFinally);
+  }
+}
 
 export class TestEnvironment {
-  constructor() {
+  constructor(options = {}) {
     this.tempDir = null;
-    this.originalCwd = process.cwd();
+    // Which uniweb binary to run; see resolveUniwebBinary for the options.
+    // After setup, this.cli holds the resolved command and its version.
+    this.cliOptions = options.cli || {};
+    this.cli = null;
+    // Virtual working directory. Each environment tracks its own instead of
+    // calling process.chdir, so environments sharing a worker stay isolated.
+    this.cwd = null;
+    // Every runUniweb call, in order; printed when the test fails.
+    this.transcript = [];
+    // Full name of the test that set the environment up
+    this.testName = null;
+    // Files the last command added, modified or deleted, relative to the
+    // cwd it ran in. Hashing the tree can be turned off for benchmarks.
+    this.trackChanges = options.trackChanges ?? true;
+    this.lastChanges = null;
+    // Hash of the source section at the time each translation was set,
+    // keyed by absolute translation path; used to spot stale translations.
+    this.translationSources = {};
+    // Extra environment variables for every CLI command, e.g. the URL of
+    // a mock registry; per-call `options.env` still wins.
+    this.commandEnv = { ...options.env };
+    // Hermetic runs start from a minimal environment with a fresh HOME
+    // (this.homeDir) instead of inheriting the test process's.
+    this.hermetic = options.hermetic ?? true;
+    this.homeDir = null;
+    // "deny" fails any command that connects beyond loopback
+    this.network =
+      options.network ?? process.env.UNIWEB_TEST_NETWORK ?? "allow";
+    // Commands running longer are killed with their child processes and
+    // reported as timed out; runUniweb's `options.timeout` overrides it.
+    this.commandTimeout =
+      options.commandTimeout ??
+      (Number(process.env.UNIWEB_COMMAND_TIMEOUT) || 20000);
+    // Sample each command's peak memory and CPU time from /proc (Linux);
+    // runUniweb's `options.sampleResources` overrides it per command.
+    this.sampleResources = options.sampleResources ?? false;
+    // Teardown callbacks (servers and the like), run by cleanup()
+    this.disposers = [];
+    // Process groups of this environment's commands that are still
+    // running; cleanup() kills them
+    this.processTrees = new Set();
   }
 
-  async setup() {
+  /**
+   * Create the temp project. Pass the vitest test context (the argument of
+   * `beforeEach` or the test function) so a failing test reports its own
+   * transcript under `describe.concurrent`; without it the current test is
+   * taken from vitest's global state, which only holds for serial tests.
+   */
+  async setup(context) {
     const repoDir = path.resolve(__dirname, "../../.temp");
     const tempBase = repoDir; //temporaryDirectory;
+    this.cli = await resolveUniwebBinary(this.cliOptions);
     this.tempDir = await fs.mkdtemp(path.join(tempBase, "uniweb-test-"));
-    process.chdir(this.tempDir);
+    this.cwd = this.tempDir;
+    this.transcript = [];
+    this.translationSources = {};
+    if (this.hermetic) {
+      // Beside the temp dir so hashTree doesn't see it
+      this.homeDir = await createHermeticHome(`${this.tempDir}.home`);
+      this.disposers.push(() => fs.remove(this.homeDir));
+    }
+    this.testName = context?.task
+      ? fullTestName(context.task)
+      : expect.getState().currentTestName || "unknown test";
+    this.reportTranscriptOnFailure(context);
     return this.tempDir;
   }
 
   async cleanup() {
+    killLiveProcessTrees(this.processTrees);
+
+    for (const dispose of this.disposers.splice(0).reverse()) {
+      try {
+        await dispose();
+      } catch (error) {
+        console.warn(`Warning: cleanup step failed: ${error.message}`);
+      }
+    }
+
     if (this.tempDir) {
       try {
-        process.chdir(this.originalCwd);
         // console.log(`Removing ${this.tempDir}...`);
         await fs.remove(this.tempDir);
       } catch (error) {
@@ -39,35 +210,252 @@ export class TestEnvironment {
   }
 
   async runUniweb(args, options = {}) {
-    const cwd = process.cwd();
+    const {
+      env: extraEnv,
+      timeout = this.commandTimeout,
+      sampleResources = this.sampleResources,
+      ...execaOptions
+    } = options;
+    const cwd = options.cwd || this.cwd;
+    const env = { ...this.commandEnv, ...extraEnv };
+    const before = this.trackChanges ? await this.hashTree() : null;
+    const start = Date.now();
+    const subprocess = trackProcessTree(
+      execa(this.cli.command, [...this.cli.args, ...args], {
+        cwd: this.cwd,
+        ...execaOptions,
+        ...this.processEnv(env),
+        ...PROCESS_TREE_OPTIONS,
+      }),
+      this.processTrees
+    );
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killProcessTree(subprocess);
+    }, timeout);
+    const sampler =
+      sampleResources && SAMPLING_SUPPORTED && subprocess.pid
+        ? new ProcessSampler(subprocess.pid).start()
+        : null;
+
+    let result;
     try {
-      const result = await execa("uniweb", args, {
-        // cwd: this.tempDir,
-        cwd: process.cwd(),
-        ...options,
-      });
-      return {
+      result = await subprocess;
+    } catch (error) {
+      result = error;
+    } finally {
+      clearTimeout(timer);
+    }
+    const resources = sampler ? await sampler.stop() : null;
+
+    // Partial output is kept; a timeout is never reported as an exit code
+    const where = path.relative(this.tempDir, cwd) || ".";
+    let outcome;
+    if (timedOut) {
+      outcome = {
+        success: false,
+        timedOut: true,
+        stdout: result.stdout || "",
+        stderr: result.stderr || "",
+        exitCode: null,
+        error: `'uniweb ${args.join(" ")}' timed out after ${timeout}ms in ${where}`,
+      };
+    } else if (result.failed) {
+      outcome = {
+        success: false,
+        stdout: result.stdout || "",
+        stderr: result.stderr || "",
+        exitCode: result.exitCode || 1,
+        error: result.message,
+      };
+    } else {
+      outcome = {
         success: true,
         stdout: result.stdout,
         stderr: result.stderr,
         exitCode: result.exitCode,
       };
-    } catch (error) {
-      return {
-        success: false,
-        stdout: error.stdout || "",
-        stderr: error.stderr || "",
-        exitCode: error.exitCode || 1,
-        error: error.message,
-      };
     }
+    if (resources) outcome.resources = resources;
+
+    const duration = Date.now() - start;
+
+    if (before) {
+      this.lastChanges = this.diffTrees(before, await this.hashTree(), cwd);
+    }
+
+    this.transcript.push({
+      args,
+      cwd: where,
+      env,
+      duration,
+      exitCode: outcome.timedOut ? "timeout" : outcome.exitCode,
+      stdout: outcome.stdout,
+      stderr: outcome.stderr,
+      changes: before ? this.lastChanges : null,
+      resources,
+    });
+    await this.checkNetworkAccess(args);
+    return outcome;
+  }
+
+  // === PROCESS ENVIRONMENT HELPERS ===
+
+  // execa `env` options for a command; `env` holds only the test's own
+  // variables, which is also what the transcript records
+  processEnv(env) {
+    if (!this.hermetic) return { env };
+
+    return {
+      env: buildHermeticEnv({
+        home: this.homeDir,
+        overrides: env,
+        network: this.network,
+        networkLog: this.networkLog(),
+      }),
+      extendEnv: false,
+    };
   }
 
-  async fileExists(filePath, baseDir = process.cwd()) {
+  networkLog() {
+    return this.homeDir ? path.join(this.homeDir, "network.log") : null;
+  }
+
+  // In "deny" mode, fail the test if the last command tried to connect out
+  async checkNetworkAccess(args) {
+    if (this.network !== "deny") return;
+
+    const attempts = await takeNetworkAttempts(this.networkLog());
+    expect(
+      attempts,
+      `uniweb ${args.join(" ")} tried to open network connections: ${attempts.join(
+        ", "
+      )}`
+    ).toEqual([]);
+  }
+
+  // Drive a command that prompts; see InteractiveSession
+  runInteractive(args, options = {}) {
+    return new InteractiveSession(this, args, options);
+  }
+
+  // === CHANGE TRACKING HELPERS ===
+
+  // Map of every file under the temp dir (posix path) to its content hash.
+  async hashTree(dir = ".", hashes = {}) {
+    const fullPath = path.join(this.tempDir, dir);
+    if (!(await fs.pathExists(fullPath))) return hashes;
+
+    for (const item of await fs.readdir(fullPath)) {
+      if (UNTRACKED.includes(item)) continue;
+      const itemPath = path.posix.join(dir, item);
+      const stats = await fs.stat(path.join(this.tempDir, itemPath));
+
+      if (stats.isDirectory()) {
+        await this.hashTree(itemPath, hashes);
+      } else {
+        const content = await fs.readFile(path.join(this.tempDir, itemPath));
+        hashes[itemPath] = crypto
+          .createHash("sha1")
+          .update(content)
+          .digest("hex");
+      }
+    }
+
+    return hashes;
+  }
+
+  diffTrees(before, after, cwd = this.cwd) {
+    const relative = (file) =>
+      path
+        .relative(cwd, path.join(this.tempDir, file))
+        .split(path.sep)
+        .join("/");
+    const changes = { added: [], modified: [], deleted: [] };
+
+    for (const file of Object.keys(after)) {
+      if (!(file in before)) changes.added.push(relative(file));
+      else if (before[file] !== after[file]) {
+        changes.modified.push(relative(file));
+      }
+    }
+    for (const file of Object.keys(before)) {
+      if (!(file in after)) changes.deleted.push(relative(file));
+    }
+
+    return changes;
+  }
+
+  // === TRANSCRIPT HELPERS ===
+
+  formatTranscript(title = "Command transcript") {
+    const lines = [`${title} (${this.transcript.length} commands)`];
+
+    this.transcript.forEach((entry, index) => {
+      const envNames = Object.keys(entry.env);
+      lines.push(
+        "",
+        `#${index + 1} uniweb ${entry.args.join(" ")}`,
+        `   cwd: ${entry.cwd}, exit: ${entry.exitCode}, ${entry.duration}ms`
+      );
+      if (entry.resources) {
+        const { peakRss, cpuTime } = entry.resources;
+        lines.push(`   peak rss: ${formatBytes(peakRss)}, cpu: ${cpuTime}ms`);
+      }
+      if (envNames.length > 0) {
+        lines.push(
+          `   env: ${envNames.map((k) => `${k}=${entry.env[k]}`).join(" ")}`
+        );
+      }
+      if (entry.conversation) {
+        lines.push("   conversation:");
+        for (const { direction, text } of entry.conversation) {
+          if (direction === "in") {
+            lines.push(`     > ${JSON.stringify(text)}`);
+          } else {
+            text
+              .replace(/\n$/, "")
+              .split("\n")
+              .forEach((line) => lines.push(`     | ${line}`));
+          }
+        }
+        return;
+      }
+      for (const stream of ["stdout", "stderr"]) {
+        if (!entry[stream]) continue;
+        lines.push(`   ${stream}:`);
+        entry[stream]
+          .split("\n")
+          .forEach((line) => lines.push(`     | ${line}`));
+      }
+    });
+
+    return lines.join("\n");
+  }
+
+  reportTranscriptOnFailure(context) {
+    const { testName } = this;
+    try {
+      (context?.onTestFailed ?? onTestFailed)(async () => {
+        const transcript = this.formatTranscript(
+          `Command transcript for "${testName}"`
+        );
+        console.error(transcript);
+
+        const fileName = `${testName.replace(/[^a-z0-9]+/gi, "-")}.log`;
+        await fs.outputFile(path.join(transcriptDir, fileName), transcript);
+      });
+    } catch {
+      // Not inside a running test (e.g. a script driving the environment)
+    }
+  }
+
+  async fileExists(filePath, baseDir = this.cwd) {
     return fs.pathExists(path.join(baseDir, filePath));
   }
 
-  async readFile(filePath, baseDir = process.cwd()) {
+  async readFile(filePath, baseDir = this.cwd) {
     return fs.readFile(path.join(baseDir, filePath), "utf8");
   }
 
@@ -76,7 +464,7 @@ export class TestEnvironment {
     return yaml.parse(content);
   }
 
-  async getDirectoryStructure(dir = ".", baseDir = process.cwd()) {
+  async getDirectoryStructure(dir = ".", baseDir = this.cwd) {
     const structure = {};
     const fullPath = path.join(baseDir, dir);
 
@@ -90,7 +478,8 @@ export class TestEnvironment {
 
             if (stats.isDirectory()) {
               structure[item] = await this.getDirectoryStructure(
-                path.join(dir, item)
+                path.join(dir, item),
+                baseDir
               );
             } else {
               structure[item] = "file";
@@ -176,6 +565,25 @@ export class TestEnvironment {
     }
   }
 
+  expectOnlyChanged(filePaths, message) {
+    expect(
+      this.lastChanges,
+      "Change tracking is off or no command has run yet"
+    ).not.toBeNull();
+
+    const { added, modified, deleted } = this.lastChanges;
+    const changed = [...added, ...modified, ...deleted].sort();
+    const expected = filePaths.map((file) => path.posix.normalize(file)).sort();
+
+    expect(
+      changed,
+      message ||
+        `Expected only ${expected.join(", ")} to change, but the last ` +
+          `command added [${added.join(", ")}], modified ` +
+          `[${modified.join(", ")}] and deleted [${deleted.join(", ")}]`
+    ).toEqual(expected);
+  }
+
   // === COMMAND HELPERS ===
 
   async expectCommandSuccess(args, message) {
@@ -192,6 +600,7 @@ export class TestEnvironment {
 
   async expectCommandFailure(args, expectedError, message) {
     const result = await this.runUniweb(args);
+    expect(result.timedOut, result.error).toBeUndefined();
     expect(
       result.success,
       message || `Expected 'uniweb ${args.join(" ")}' to fail`
@@ -216,7 +625,7 @@ export class TestEnvironment {
     // Enable dev mode
     args.push("--dev");
 
-    process.chdir(this.tempDir);
+    this.cwd = this.tempDir;
 
     await this.expectCommandSuccess(args);
 
@@ -224,7 +633,7 @@ export class TestEnvironment {
 
     // if (name !== ".") {
     //   console.log({ name });
-    //   // process.chdir(name);
+    //   // this.cd(name);
     //   this.cd(name, this.tempDir);
     // }
     return this;
@@ -258,7 +667,13 @@ export class TestEnvironment {
     const pagePath = options.page ? `${basePath}/${options.page}` : basePath;
 
     await this.expectFileExists(`${pagePath}/${name}.md`);
-    await this.expectYamlContains(`${pagePath}/page.yml`, "sections", name);
+    // Look through the whole tree; `--position under:<parent>` nests it
+    const pageConfig = await this.readYaml(`${pagePath}/page.yml`);
+    const tree = new SectionTree(pageConfig?.sections, `${pagePath}/page.yml`);
+    expect(
+      tree.find(name),
+      `Expected ${pagePath}/page.yml sections to contain ${name}\n${tree.format()}`
+    ).not.toBeNull();
 
     return this;
   }
@@ -273,14 +688,21 @@ export class TestEnvironment {
     await this.expectCommandSuccess(args);
 
     // Verify content was set
-    const basePath = options.site ? `sites/${options.site}/pages` : "pages";
-    const pagePath = options.page ? `${basePath}/${options.page}` : basePath;
+    const siteBase = options.site ? `sites/${options.site}/` : "";
+    const pagesPath = options.page ? `pages/${options.page}` : "pages";
+    const sourcePath = `${siteBase}${pagesPath}/${name}.md`;
     const filePath = options.locale
-      ? `locales/${options.locale}/${pagePath}/${name}.md`
-      : `${pagePath}/${name}.md`;
+      ? `${siteBase}locales/${options.locale}/${pagesPath}/${name}.md`
+      : sourcePath;
 
     await this.expectFileContains(filePath, content.split("\n")[0]); // Check first line
 
+    if (options.locale && (await this.fileExists(sourcePath))) {
+      const source = await this.readFile(sourcePath);
+      this.translationSources[path.resolve(this.cwd, filePath)] =
+        hashContent(source);
+    }
+
     return this;
   }
 
@@ -302,6 +724,27 @@ export class TestEnvironment {
     return this;
   }
 
+  // `spec` is a module name, optionally with a version or range
+  // ("portfolio-components@^1.2.0"); the site config must then list it.
+  async linkModule(spec, options = {}) {
+    const args = ["link", "module", spec];
+    if (options.site) args.push("--site", options.site);
+
+    await this.expectCommandSuccess(args);
+
+    const name = spec.replace(/(.)@.*$/, "$1");
+    const siteConfigPath = options.site
+      ? `sites/${options.site}/site.yml`
+      : "site.yml";
+    const modules = (await this.readYaml(siteConfigPath))?.modules || [];
+    expect(
+      modules.some((module) => module === name || module?.name === name),
+      `Expected ${siteConfigPath} modules to include ${name}`
+    ).toBe(true);
+
+    return this;
+  }
+
   // === STRUCTURE VERIFICATION HELPERS ===
 
   async expectStandardProjectStructure(type = "minimal") {
@@ -332,8 +775,8 @@ export class TestEnvironment {
 
   // === FLUENT API HELPERS ===
 
-  cd(directory, baseDir = process.cwd()) {
-    process.chdir(path.join(baseDir, directory));
+  cd(directory, baseDir = this.cwd) {
+    this.cwd = path.resolve(baseDir, directory);
     return this;
   }
 
@@ -350,3 +793,15 @@ export class TestEnvironment {
     return this.cd(`${basePath}/${pageName}`);
   }
 }
+
+// Route the chainable helpers through an OperationChain so that
+// `await env.initProject(...).addPage(...).addSection(...)` runs every step.
+for (const name of CHAINABLE_STEPS) {
+  const run = TestEnvironment.prototype[name];
+  OperationChain.prototype[name] = function (...args) {
+    return this.enqueue(name, args, run);
+  };
+  TestEnvironment.prototype[name] = function (...args) {
+    return new OperationChain(this)[name](...args);
+  };
+}
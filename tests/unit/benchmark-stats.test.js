@@ -0,0 +1,61 @@
+// tests/unit/benchmark-stats.test.js
+import { describe, it, expect } from "vitest";
+import {
+  formatStats,
+  percentile,
+  summarize,
+  summarizeResources,
+} from "../setup/benchmark-stats.js";
+
+describe("benchmark stats", () => {
+  it("should interpolate percentiles between ranks", () => {
+    const sorted = [10, 20, 30, 40];
+
+    expect(percentile(sorted, 0)).toBe(10);
+    expect(percentile(sorted, 50)).toBe(25);
+    expect(percentile(sorted, 95)).toBeCloseTo(38.5);
+    expect(percentile(sorted, 100)).toBe(40);
+    expect(percentile([7], 95)).toBe(7);
+    expect(percentile([], 50)).toBeNaN();
+  });
+
+  it("should summarize samples and keep them in run order", () => {
+    const stats = summarize([30, 10, 20, 40]);
+
+    expect(stats).toEqual({
+      runs: 4,
+      min: 10,
+      max: 40,
+      mean: 25,
+      median: 25,
+      p95: expect.closeTo(38.5),
+      stddev: expect.closeTo(Math.sqrt(500 / 3)),
+      samples: [30, 10, 20, 40],
+    });
+    expect(summarize([12]).stddev).toBe(0);
+  });
+
+  it("should take the highest peak and the median CPU time of the runs", () => {
+    const runs = [
+      { peakRss: 50e6, cpuTime: 90 },
+      { peakRss: 80e6, cpuTime: 300 },
+      { peakRss: 60e6, cpuTime: 110 },
+    ];
+
+    expect(summarizeResources(runs)).toEqual({
+      peakRss: 80e6,
+      cpuTime: 110,
+      runs,
+    });
+  });
+
+  it("should format timings and sampled resources", () => {
+    const stats = summarize([10, 12, 14]);
+    expect(formatStats(stats)).toBe(
+      "median 12.0ms, p95 13.8ms, min 10.0ms, stddev 2.0ms (3 runs)"
+    );
+
+    stats.resources = { peakRss: 48 * 1024 * 1024, cpuTime: 90 };
+    expect(formatStats(stats)).toMatch(/, peak rss 48\.0MB, cpu 90ms$/);
+  });
+});
@@ -0,0 +1,73 @@
+// tests/unit/command-timeout.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { TestEnvironment } from "../setup/test-helpers.js";
+
+// Stands in for a CLI that hangs after starting a child process
+const HANGING_CLI = `
+if (process.argv.includes("--version")) {
+  console.log("0.0.0-hang");
+  process.exit(0);
+}
+const { spawn } = require("child_process");
+const child = spawn(process.execPath, ["-e", "setInterval(() => {}, 1000)"], {
+  stdio: "ignore",
+});
+console.log("child " + child.pid);
+setInterval(() => {}, 1000);
+`;
+
+// Killed orphans can linger as zombies until init reaps them
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+  const stat = `/proc/${pid}/stat`;
+  return !fs.existsSync(stat) || !/\) Z /.test(fs.readFileSync(stat, "utf8"));
+}
+
+describe.skipIf(process.platform === "win32")("command timeouts", () => {
+  let env;
+  let binDir;
+
+  beforeEach(async (context) => {
+    binDir = await fs.mkdtemp(path.join(os.tmpdir(), "uniweb-hang-"));
+    const bin = path.join(binDir, "uniweb.cjs");
+    await fs.writeFile(bin, HANGING_CLI);
+
+    env = new TestEnvironment({ cli: { bin }, commandTimeout: 1000 });
+    await env.setup(context);
+  });
+
+  afterEach(async () => {
+    await env.cleanup();
+    await fs.remove(binDir);
+  });
+
+  it("should kill a hung command with its children and keep its output", async () => {
+    const result = await env.runUniweb(["build"]);
+
+    expect(result.success).toBe(false);
+    expect(result.timedOut).toBe(true);
+    expect(result.exitCode).toBeNull();
+    expect(result.error).toBe("'uniweb build' timed out after 1000ms in .");
+    expect(env.transcript.at(-1).exitCode).toBe("timeout");
+
+    const childPid = Number(result.stdout.match(/child (\d+)/)[1]);
+    await vi.waitFor(() => expect(isRunning(childPid)).toBe(false));
+  });
+
+  it("should only stop its own commands on cleanup", async () => {
+    const other = new TestEnvironment({ cli: env.cliOptions });
+    await other.setup();
+    const running = env.runUniweb(["build"]);
+    await vi.waitFor(() => expect(env.processTrees.size).toBe(1));
+
+    await other.cleanup();
+    expect((await running).timedOut).toBe(true);
+  });
+});
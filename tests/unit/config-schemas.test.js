@@ -0,0 +1,82 @@
+// tests/unit/config-schemas.test.js
+import { describe, it, expect } from "vitest";
+import { matchesType, validateConfig } from "../setup/config-schemas.js";
+
+describe("config schemas", () => {
+  it("should accept every sections form SectionTree reads", () => {
+    const pageYml = [
+      "title: Services",
+      "sections:",
+      "  - hero",
+      "  - service-tabs:",
+      "      - web-development",
+      "      - mobile-apps",
+      "  - name: faq",
+      "    sections:",
+      "      - pricing",
+      "      - name: support",
+      "        children: [contact]",
+    ].join("\n");
+
+    expect(validateConfig("page", pageYml)).toEqual([]);
+  });
+
+  it("should point at the path and line of a bad section name", () => {
+    const pageYml = [
+      "sections:",
+      "  - hero",
+      "  - service-tabs:",
+      "      - web-development",
+      "      - Bad Name",
+    ].join("\n");
+
+    expect(validateConfig("page", pageYml)).toEqual([
+      {
+        path: "sections[1].service-tabs[1]",
+        line: 5,
+        message: expect.stringContaining('"Bad Name" does not match'),
+      },
+    ]);
+  });
+
+  it("should point into the named section form as well", () => {
+    const pageYml = "sections:\n  - name: faq\n    sections: [Bad Name]\n";
+
+    expect(validateConfig("page", pageYml)).toEqual([
+      {
+        path: "sections[0].sections[0]",
+        line: 3,
+        message: expect.stringContaining('"Bad Name" does not match'),
+      },
+    ]);
+  });
+
+  it("should flag malformed keys and wrong types in site.yml", () => {
+    const errors = validateConfig(
+      "site",
+      "name: demo\nundefined: true\nlocales: fr\n"
+    );
+
+    expect(errors).toEqual([
+      { path: "undefined", line: 2, message: 'malformed key "undefined"' },
+      { path: "locales", line: 3, message: "expected array, got string" },
+    ]);
+  });
+
+  it("should report YAML syntax errors with their line", () => {
+    const [error] = validateConfig("page", "title: ok\nsections: [hero\n");
+
+    expect(error.path).toBe("(root)");
+    expect(error.line).toBeGreaterThan(0);
+  });
+
+  it("should tell integers, arrays and null apart from their JS types", () => {
+    expect(matchesType("integer", 2)).toBe(true);
+    expect(matchesType("integer", 1.5)).toBe(false);
+    expect(matchesType("number", 1.5)).toBe(true);
+    expect(matchesType("array", [])).toBe(true);
+    expect(matchesType("object", [])).toBe(false);
+    expect(matchesType("object", null)).toBe(false);
+    expect(matchesType(["string", "null"], null)).toBe(true);
+  });
+});
@@ -0,0 +1,53 @@
+// tests/unit/growth-curve.test.js
+import { describe, it, expect } from "vitest";
+import { fitGrowthCurve, formatGrowthCurve } from "../setup/growth-curve.js";
+
+const curve = (timeAt) =>
+  [10, 100, 1000].map((size) => ({ size, time: timeAt(size) }));
+
+describe("growth curve", () => {
+  it("should recover the exponent and coefficient of a power law", () => {
+    const fit = fitGrowthCurve(curve((n) => 2 * n));
+
+    expect(fit.exponent).toBeCloseTo(1);
+    expect(fit.coefficient).toBeCloseTo(2);
+    expect(fit.r2).toBeCloseTo(1);
+    expect(fit.growth).toBe("linear");
+  });
+
+  it("should label flat and quadratic curves", () => {
+    expect(fitGrowthCurve(curve(() => 80)).growth).toBe("constant");
+    expect(fitGrowthCurve(curve(() => 80)).r2).toBe(1);
+    expect(fitGrowthCurve(curve(Math.sqrt)).growth).toBe("sublinear");
+    expect(fitGrowthCurve(curve((n) => n ** 2)).growth).toBe(
+      "quadratic or worse"
+    );
+  });
+
+  it("should need at least two usable sizes", () => {
+    const points = [
+      { size: 0, time: 5 },
+      { size: 10, time: 0 },
+      { size: 100, time: 20 },
+    ];
+
+    expect(() => fitGrowthCurve(points)).toThrow("at least two sizes");
+    expect(() =>
+      fitGrowthCurve([
+        { size: 10, time: 20 },
+        { size: 10, time: 30 },
+      ])
+    ).toThrow("at least two sizes");
+  });
+
+  it("should format the fit with its measurements", () => {
+    const fit = fitGrowthCurve([
+      { size: 10, time: 20 },
+      { size: 100, time: 200 },
+    ]);
+
+    expect(formatGrowthCurve("add-page", fit)).toBe(
+      "add-page: linear (n^1.00, r² 1.00) - 10: 20.0ms, 100: 200.0ms"
+    );
+  });
+});
@@ -1,13 +1,14 @@
 // tests/unit/init.test.js
 import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs-extra";
 import { TestEnvironment } from "../setup/test-helpers.js";
 
 describe("uniweb init", () => {
   let env;
 
-  beforeEach(async () => {
+  beforeEach(async (context) => {
     env = new TestEnvironment();
-    await env.setup();
+    await env.setup(context);
   });
 
   afterEach(async () => {
@@ -46,6 +47,30 @@ describe("uniweb init", () => {
     await env.expectStandardSiteStructure("sites/demo");
   });
 
+  it("should prompt for a project name when none is given", async () => {
+    await env
+      .runInteractive(["init", "--single-site"])
+      .expect(/project name/i)
+      .sendLine("prompted-project")
+      .expectExit(0);
+
+    env.cd("prompted-project");
+    await env.expectStandardProjectStructure("single-site");
+  });
+
+  it("should create a project offline with an empty home directory", async () => {
+    const offline = new TestEnvironment({ network: "deny" });
+    await offline.setup();
+
+    try {
+      await offline.initProject("offline-project");
+      await offline.expectStandardProjectStructure("minimal");
+      expect(await fs.pathExists(`${offline.homeDir}/.npmrc`)).toBe(false);
+    } finally {
+      await offline.cleanup();
+    }
+  });
+
   // it("should handle invalid project names gracefully", async () => {
   //   await env.expectCommandFailure(
   //     ["init", "invalid@name"],
@@ -0,0 +1,92 @@
+// tests/unit/locale-report.test.js
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { buildLocaleReport, hashContent } from "../setup/locale-report.js";
+
+describe("locale report", () => {
+  let siteDir;
+
+  // Write a file with a fixed mtime (seconds since the epoch)
+  async function write(file, content, mtime) {
+    const fullPath = path.join(siteDir, file);
+    await fs.outputFile(fullPath, content);
+    await fs.utimes(fullPath, mtime, mtime);
+    return fullPath;
+  }
+
+  beforeEach(async () => {
+    siteDir = await fs.mkdtemp(path.join(os.tmpdir(), "uniweb-locales-"));
+  });
+
+  afterEach(async () => {
+    await fs.remove(siteDir);
+  });
+
+  it("should list missing, orphaned and stale translations by mtime", async () => {
+    await write("pages/index/hero.md", "# Hello", 2000);
+    await write("pages/about/team.md", "# Team", 1000);
+    await write("pages/about/story.md", "# Story", 1000);
+    await write("locales/fr/pages/index/hero.md", "# Bonjour", 1000);
+    await write("locales/fr/pages/about/team.md", "# Équipe", 2000);
+    await write("locales/fr/pages/old/gone.md", "# Parti", 2000);
+
+    const report = await buildLocaleReport(siteDir);
+
+    expect(report.sources).toEqual([
+      "about/story.md",
+      "about/team.md",
+      "index/hero.md",
+    ]);
+    expect(report.locales.fr).toEqual({
+      total: 3,
+      translated: 2,
+      coverage: 66,
+      missing: ["about/story.md"],
+      orphaned: ["old/gone.md"],
+      stale: ["index/hero.md"],
+    });
+  });
+
+  it("should only report full coverage with nothing missing", async () => {
+    for (let i = 0; i < 200; i++) {
+      await write(`pages/p/s${i}.md`, "# Source", 1000);
+      if (i > 0) await write(`locales/fr/pages/p/s${i}.md`, "# Source", 2000);
+    }
+
+    const report = await buildLocaleReport(siteDir);
+
+    expect(report.locales.fr).toMatchObject({
+      translated: 199,
+      coverage: 99,
+      missing: ["p/s0.md"],
+    });
+  });
+
+  it("should prefer the recorded source hash over mtimes", async () => {
+    await write("pages/index/hero.md", "# Hello", 2000);
+    await write("pages/index/cta.md", "# Sign up", 1000);
+    const hero = await write(
+      "locales/fr/pages/index/hero.md",
+      "# Bonjour",
+      1000
+    );
+    const cta = await write(
+      "locales/fr/pages/index/cta.md",
+      "# Inscription",
+      2000
+    );
+
+    const report = await buildLocaleReport(siteDir, {
+      translationSources: {
+        // Written from the current source, though older than it on disk
+        [hero]: hashContent("# Hello"),
+        // Written from an earlier version of the source
+        [cta]: hashContent("# Join"),
+      },
+    });
+
+    expect(report.locales.fr.stale).toEqual(["index/cta.md"]);
+  });
+});
@@ -0,0 +1,76 @@
+// tests/unit/name-fuzzer.test.js
+import { describe, it, expect } from "vitest";
+import {
+  createRandom,
+  failureSignature,
+  generateNames,
+  NAME_CLASSES,
+  shrinkName,
+} from "../setup/name-fuzzer.js";
+
+describe("name fuzzer", () => {
+  it("should generate the same names for the same seed", () => {
+    const names = generateNames({ seed: 42, count: 3 });
+
+    expect(generateNames({ seed: 42, count: 3 })).toEqual(names);
+    expect(generateNames({ seed: 43, count: 3 })).not.toEqual(names);
+    expect(names).toHaveLength(
+      Object.values(NAME_CLASSES).reduce(
+        (total, nameClass) => total + nameClass.examples.length + 3,
+        0
+      )
+    );
+    expect(names.some(({ name }) => name.includes(","))).toBe(false);
+  });
+
+  it("should draw integers within the given bounds", () => {
+    const random = createRandom(7);
+    const values = Array.from({ length: 200 }, () => random.int(2, 4));
+
+    expect(new Set(values)).toEqual(new Set([2, 3, 4]));
+  });
+
+  it("should shrink a failing name to a minimal one", async () => {
+    const stillFails = async (name) => name.includes("..");
+
+    expect(await shrinkName("a/b/../escape", stillFails)).toBe("..");
+  });
+
+  it("should replace unusual characters that don't matter", async () => {
+    const stillFails = async (name) => [...name].length >= 3;
+
+    expect(await shrinkName("é😀ü-ß", stillFails)).toBe("aaa");
+  });
+
+  it("should never try an empty name", async () => {
+    const tried = [];
+    const shrunk = await shrinkName("../escape", async (name) => {
+      tried.push(name);
+      return true;
+    });
+
+    expect(tried).not.toContain("");
+    expect([...shrunk]).toHaveLength(1);
+  });
+
+  it("should stop after maxRuns checks", async () => {
+    let runs = 0;
+    await shrinkName("x".repeat(100), async () => ++runs < 0, { maxRuns: 10 });
+
+    expect(runs).toBe(10);
+  });
+
+  it("should only treat failures of the same kind as the same", () => {
+    const crash = (details) => ({ reason: "unexpected-error", details });
+
+    expect(failureSignature({ reason: "unsafe-path", details: "a" })).toBe(
+      failureSignature({ reason: "unsafe-path", details: "b" })
+    );
+    expect(failureSignature(crash('TypeError: bad "ab"'))).toBe(
+      failureSignature(crash('TypeError: bad "a"'))
+    );
+    expect(failureSignature(crash("Error: ENAMETOOLONG, open x"))).not.toBe(
+      failureSignature(crash("Error: EISDIR, open x"))
+    );
+  });
+});
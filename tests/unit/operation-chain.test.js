@@ -0,0 +1,86 @@
+// tests/unit/operation-chain.test.js
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { TestEnvironment } from "../setup/test-helpers.js";
+
+// Stands in for a CLI that creates projects and pages but rejects sections
+const STUB_CLI = `
+const fs = require("fs");
+const [command, kind, name] = process.argv.slice(2);
+if (command === "--version") {
+  console.log("0.0.0-stub");
+} else if (command === "init") {
+  fs.mkdirSync(kind, { recursive: true });
+} else if (command === "add" && kind === "page") {
+  fs.mkdirSync("pages/" + name, { recursive: true });
+  fs.writeFileSync("pages/" + name + "/page.yml", "sections: []\\n");
+} else {
+  console.error("Cannot " + command + " " + kind + " " + name);
+  process.exit(1);
+}
+`;
+
+describe("operation chains", () => {
+  let env;
+  let binDir;
+
+  beforeEach(async (context) => {
+    binDir = await fs.mkdtemp(path.join(os.tmpdir(), "uniweb-stub-"));
+    const bin = path.join(binDir, "uniweb.cjs");
+    await fs.writeFile(bin, STUB_CLI);
+
+    env = new TestEnvironment({ cli: { bin } });
+    await env.setup(context);
+  });
+
+  afterEach(async () => {
+    await env.cleanup();
+    await fs.remove(binDir);
+  });
+
+  const commands = () => env.transcript.map((entry) => entry.args.join(" "));
+
+  it("should run the steps in order once awaited", async () => {
+    const chain = env
+      .initProject("site", { singleSite: true })
+      .addPage("about")
+      .addPage("contact");
+    expect(commands()).toEqual([]);
+
+    expect(await chain).toBe(env);
+    expect(commands()).toEqual([
+      "init site --single-site --dev",
+      "add page about",
+      "add page contact",
+    ]);
+  });
+
+  it("should name the step that failed and skip the rest", async () => {
+    const chain = env
+      .initProject("site", { singleSite: true })
+      .addPage("about")
+      .addSection("hero", { page: "about" })
+      .addPage("never");
+
+    await expect(chain).rejects.toThrow(
+      'Chain failed at step 3 of 4, addSection("hero", {...}): ' +
+        "Expected 'uniweb add section hero --page about' to succeed"
+    );
+    expect(commands()).toEqual([
+      "init site --single-site --dev",
+      "add page about",
+      "add section hero --page about",
+    ]);
+  });
+
+  it("should not take new steps after it has been awaited", async () => {
+    const chain = env.initProject("site").addPage("about");
+    await chain;
+
+    expect(() => chain.addPage("late")).toThrow(
+      "Cannot add step addPage() to a chain that has already been awaited"
+    );
+  });
+});
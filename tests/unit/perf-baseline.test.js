@@ -0,0 +1,132 @@
+// tests/unit/perf-baseline.test.js
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  compareWithBaseline,
+  findBaseline,
+  readBaselines,
+  recordBaseline,
+} from "../setup/perf-baseline.js";
+
+const stats = (median) => ({
+  runs: 5,
+  min: median - 1,
+  max: median + 5,
+  mean: median,
+  median,
+  p95: median + 4,
+  stddev: 1,
+  samples: [median],
+});
+
+describe("performance baselines", () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "uniweb-baselines-"));
+    file = path.join(dir, "baselines.json");
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it("should keep every entry when recording concurrently", async () => {
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) =>
+        recordBaseline(
+          i % 2 ? "1.1.0" : "1.0.0",
+          `metric-${i}`,
+          stats(i + 10),
+          file
+        )
+      )
+    );
+
+    const baselines = await readBaselines(file);
+    const recorded = Object.values(baselines).flatMap(Object.keys);
+    expect(recorded.sort()).toEqual(
+      Array.from({ length: 10 }, (_, i) => `metric-${i}`).sort()
+    );
+    expect(Object.keys(baselines["1.0.0"]["metric-0"]).sort()).toEqual([
+      "median",
+      "min",
+      "p95",
+      "recordedAt",
+      "runs",
+      "stddev",
+    ]);
+    // The lock is released and the temporary file renamed into place
+    expect(await fs.readdir(dir)).toEqual(["baselines.json"]);
+  });
+
+  it("should wait for a held lock and take over a stale one", async () => {
+    const lock = `${file}.lock`;
+    await fs.writeFile(lock, "12345");
+
+    let recorded = false;
+    const recording = recordBaseline("1.0.0", "a", stats(10), file).then(
+      () => (recorded = true)
+    );
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(recorded).toBe(false);
+
+    const stale = (Date.now() - 60000) / 1000;
+    await fs.utimes(lock, stale, stale);
+    await recording;
+    expect((await readBaselines(file))["1.0.0"].a.median).toBe(10);
+    expect(await fs.pathExists(lock)).toBe(false);
+  });
+
+  it("should fall back to the latest baseline of another version", () => {
+    const baselines = {
+      "1.0.0": { a: { median: 10, recordedAt: "2024-01-01T00:00:00Z" } },
+      "1.1.0": { a: { median: 12, recordedAt: "2024-03-01T00:00:00Z" } },
+      "0.9.0": {
+        a: { median: 8, recordedAt: "2024-02-01T00:00:00Z" },
+        b: { median: 5, recordedAt: "2024-02-01T00:00:00Z" },
+      },
+    };
+
+    expect(findBaseline(baselines, "1.0.0", "a")).toMatchObject({
+      version: "1.0.0",
+      median: 10,
+    });
+    expect(findBaseline(baselines, "2.0.0", "a")).toMatchObject({
+      version: "1.1.0",
+      median: 12,
+    });
+    expect(findBaseline(baselines, "1.0.0", "b").version).toBe("0.9.0");
+    expect(findBaseline(baselines, "1.0.0", "c")).toBeNull();
+  });
+
+  it("should only count a slowdown beyond the tolerance as a regression", () => {
+    const baseline = { version: "1.0.0", ...stats(100) };
+
+    expect(
+      compareWithBaseline(stats(125), baseline, { tolerance: 25 })
+    ).toMatchObject({
+      statistic: "median",
+      current: 125,
+      baseline: 100,
+      baselineVersion: "1.0.0",
+      change: 0.25,
+      regressed: false,
+    });
+    expect(
+      compareWithBaseline(stats(126), baseline, { tolerance: 25 }).regressed
+    ).toBe(true);
+    expect(
+      compareWithBaseline(stats(50), baseline, { tolerance: 0 })
+    ).toMatchObject({ change: -0.5, regressed: false });
+
+    const p95 = compareWithBaseline(stats(100), baseline, {
+      statistic: "p95",
+      tolerance: 10,
+    });
+    expect(p95).toMatchObject({ current: 104, baseline: 104, change: 0 });
+  });
+});
@@ -0,0 +1,114 @@
+// tests/unit/perf-report.test.js
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  buildPerformanceReport,
+  renderHtml,
+  renderMarkdown,
+  saveTestMetrics,
+  sparkline,
+} from "../setup/perf-report.js";
+
+const stats = (median) => ({
+  runs: 3,
+  min: median - 1,
+  max: median + 1,
+  mean: median,
+  median,
+  p95: median + 1,
+  stddev: 1,
+  samples: [median - 1, median, median + 1],
+});
+
+// What saveTestMetrics reads from a PerformanceHelper
+const helper = (metrics, version = "1.1.0") => ({
+  metrics,
+  cliVersion: () => version,
+});
+
+describe("performance report", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "uniweb-report-"));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it("should scale sparklines between the lowest and highest value", () => {
+    expect(sparkline([1, 8, 4.5])).toBe("▁█▅");
+    expect(sparkline([3, 3])).toBe("▁▁");
+  });
+
+  it("should merge saved metrics with their baselines and trend", async () => {
+    const resultsDir = path.join(dir, "results");
+    const baselineFile = path.join(dir, "baselines.json");
+    await fs.writeJson(baselineFile, {
+      "1.0.0": {
+        "add-page@10": { median: 10, recordedAt: "2024-01-01T00:00:00Z" },
+      },
+      "0.9.0": {
+        "add-page@10": { median: 8, recordedAt: "2023-06-01T00:00:00Z" },
+      },
+    });
+    await saveTestMetrics(
+      "suite > b",
+      helper({ "add-page@10": stats(20), "add-page@5": stats(5) }),
+      resultsDir
+    );
+    await saveTestMetrics("suite > a", helper({ other: stats(1) }), resultsDir);
+    await saveTestMetrics("suite > empty", helper({}), resultsDir);
+
+    const report = await buildPerformanceReport({
+      dir: resultsDir,
+      baselineFile,
+    });
+
+    expect(report.metrics.map((m) => `${m.test}: ${m.name}`)).toEqual([
+      "suite > a: other",
+      "suite > b: add-page@5",
+      "suite > b: add-page@10",
+    ]);
+    expect(report.regressions).toBe(1);
+    expect(report.metrics[2]).toMatchObject({
+      cliVersion: "1.1.0",
+      comparison: { baselineVersion: "1.0.0", change: 1, regressed: true },
+      trend: [
+        { version: "0.9.0", median: 8 },
+        { version: "1.0.0", median: 10 },
+        { version: "current", median: 20 },
+      ],
+    });
+    expect(report.metrics[0].comparison).toBeNull();
+  });
+
+  it("should escape test and metric names in Markdown and HTML", () => {
+    const report = {
+      generatedAt: "2024-01-01T00:00:00.000Z",
+      regressions: 0,
+      metrics: [
+        {
+          test: "a <b> *c* | d",
+          name: "x|`y`",
+          ...stats(10),
+          comparison: null,
+          trend: [{ version: "current", median: 10 }],
+        },
+      ],
+    };
+
+    const markdown = renderMarkdown(report);
+    expect(markdown).toContain("## a \\<b\\> \\*c\\* \\| d\n");
+    const row = markdown.split("\n").find((line) => line.includes("10.0ms"));
+    expect(row.startsWith("| `` x\\|`y` `` | 10.0ms |")).toBe(true);
+
+    const html = renderHtml(report);
+    expect(html).toContain("<h2>a &lt;b&gt; *c* | d</h2>");
+    expect(html).toContain("<code>x|`y`</code>");
+    expect(html).not.toContain("<b>");
+  });
+});
@@ -0,0 +1,46 @@
+// tests/unit/pseudo-locale.test.js
+import { describe, it, expect } from "vitest";
+import { ContentBuilder } from "../setup/additional-helpers.js";
+import { parseSection } from "../setup/section-parser.js";
+import {
+  pseudoLocalizeMarkdown,
+  pseudoLocalizeText,
+} from "../setup/pseudo-locale.js";
+
+describe("pseudo-localization", () => {
+  it("should accent and pad text inside brackets", () => {
+    expect(pseudoLocalizeText("Our Products")).toBe("⟦Öûŕ Þŕöðûçţš ·····⟧");
+  });
+
+  it("should keep front matter, code and markdown structure intact", () => {
+    const markdown = new ContentBuilder()
+      .component("Hero")
+      .param("title", "Keep me")
+      .title("Welcome", { "text-center": true })
+      .paragraph(
+        `Read the ${ContentBuilder.link("docs", "https://example.com/docs")}`
+      )
+      .list(["Fast", "Simple"])
+      .code("const title = 'Welcome';", "js")
+      .build();
+
+    const localized = pseudoLocalizeMarkdown(markdown);
+    const original = parseSection(markdown);
+    const section = parseSection(localized);
+
+    expect(section.frontMatter).toEqual(original.frontMatter);
+    expect(section.blocks.map((block) => block.type)).toEqual(
+      original.blocks.map((block) => block.type)
+    );
+    expect(section.headings[0]).toMatchObject({
+      text: "⟦Ŵéļçöɱé ···⟧",
+      attrs: ["text-center"],
+    });
+    expect(section.links[0].href).toBe("https://example.com/docs");
+    expect(section.codeBlocks[0].code).toBe("const title = 'Welcome';");
+    expect(section.lists[0].items.map((item) => item.text)).toEqual([
+      "⟦Ƒášţ ··⟧",
+      "⟦Šîɱþļé ···⟧",
+    ]);
+  });
+});
@@ -0,0 +1,152 @@
+// tests/unit/section-parser.test.js
+import { describe, it, expect } from "vitest";
+import { ContentBuilder } from "../setup/additional-helpers.js";
+import { parseSection, splitFrontMatter } from "../setup/section-parser.js";
+
+const itemTexts = (list) => list.items.map((item) => item.text);
+
+describe("section parser", () => {
+  it("should parse every block ContentBuilder writes", () => {
+    const markdown = new ContentBuilder()
+      .component("Features")
+      .param("layout", "grid")
+      .title("Our **Services**", { "text-center": true })
+      .paragraph(
+        `We ${ContentBuilder.emphasis("design")} and ${ContentBuilder.link(
+          "build",
+          "/work",
+          { "button-primary": true }
+        )} sites.`
+      )
+      .list(["Web", ["React", "Vue"], "Mobile"])
+      .code("npm install", "bash")
+      .blockquote("Great team\nWould hire again")
+      .table(
+        ["Plan", "Price"],
+        [
+          ["Basic", "$10"],
+          ["Pro | Team", "$20"],
+        ]
+      )
+      .subBlock()
+      .image("/hero.jpg", "Hero", { wide: true })
+      .icon("check", { size: 24 })
+      .divider()
+      .build();
+
+    const section = parseSection(markdown);
+
+    expect(section.frontMatter).toEqual({
+      component: "Features",
+      layout: "grid",
+    });
+    expect(section.blocks.map((block) => block.type)).toEqual([
+      "heading",
+      "paragraph",
+      "list",
+      "code",
+      "blockquote",
+      "table",
+      "image",
+      "icon",
+      "divider",
+    ]);
+    expect(section.subBlocks.map((blocks) => blocks.length)).toEqual([6, 3]);
+
+    expect(section.headings[0]).toMatchObject({
+      level: 1,
+      text: "Our **Services**",
+      attrs: ["text-center"],
+    });
+    expect(section.links).toEqual([
+      { text: "build", href: "/work", title: null, attrs: ["button-primary"] },
+    ]);
+    expect(section.emphasis).toEqual([
+      { strong: true, text: "Services" },
+      { strong: false, text: "design" },
+    ]);
+    expect(itemTexts(section.lists[0])).toEqual(["Web", "Mobile"]);
+    expect(itemTexts(section.lists[0].items[0].children)).toEqual([
+      "React",
+      "Vue",
+    ]);
+    expect(section.codeBlocks[0]).toMatchObject({
+      language: "bash",
+      code: "npm install",
+    });
+    expect(section.blockquotes[0].text).toBe("Great team\nWould hire again");
+    expect(section.tables[0]).toMatchObject({
+      headers: ["Plan", "Price"],
+      rows: [
+        ["Basic", "$10"],
+        ["Pro | Team", "$20"],
+      ],
+    });
+    expect(section.images).toEqual([
+      { alt: "Hero", src: "/hero.jpg", title: null, attrs: ["wide"] },
+    ]);
+    expect(section.icons).toEqual([{ name: "check", attrs: ["size=24"] }]);
+  });
+
+  it("should keep two separate lists apart through a round trip", () => {
+    const markdown = new ContentBuilder()
+      .list(["Design", "Build"])
+      .list(["Test", "Ship"])
+      .orderedList(["First", "Second"])
+      .orderedList(["Third"])
+      .build();
+
+    const { lists } = parseSection(markdown);
+
+    expect(lists.map(itemTexts)).toEqual([
+      ["Design", "Build"],
+      ["Test", "Ship"],
+      ["First", "Second"],
+      ["Third"],
+    ]);
+    expect(lists.map((list) => list.ordered)).toEqual([
+      false,
+      false,
+      true,
+      true,
+    ]);
+  });
+
+  it("should read a loose list with blank lines between items as one list", () => {
+    const { lists } = parseSection("- One\n\n- Two\n\n- Three\n");
+
+    expect(lists).toHaveLength(1);
+    expect(itemTexts(lists[0])).toEqual(["One", "Two", "Three"]);
+  });
+
+  it("should keep a leading sub-block through a round trip", () => {
+    const markdown = new ContentBuilder()
+      .subBlock()
+      .paragraph("x")
+      .subBlock()
+      .paragraph("title: y")
+      .build();
+
+    const section = parseSection(markdown);
+
+    expect(section.frontMatter).toEqual({});
+    expect(
+      section.subBlocks.map((blocks) => blocks.map((block) => block.text))
+    ).toEqual([[], ["x"], ["title: y"]]);
+  });
+
+  it("should only take a YAML mapping as front matter", () => {
+    const text = "---\n\nx\n\n---\n\ny";
+
+    expect(splitFrontMatter(text)).toEqual({ frontMatter: {}, body: text });
+    expect(splitFrontMatter("---\n- a\n---\nb").body).toBe("---\n- a\n---\nb");
+    expect(splitFrontMatter("---\n---\nb")).toEqual({
+      frontMatter: {},
+      body: "b",
+    });
+    expect(splitFrontMatter("---\ntitle: A\n---\nb")).toEqual({
+      frontMatter: { title: "A" },
+      body: "b",
+    });
+  });
+});
@@ -0,0 +1,74 @@
+// tests/unit/section-tree.test.js
+import { describe, it, expect } from "vitest";
+import { SectionTree } from "../setup/section-tree.js";
+
+// The same page written in the keyed and the named form
+const KEYED = [
+  "hero",
+  { "service-tabs": ["web-development", { "mobile-apps": ["ios"] }] },
+  "footer",
+];
+const NAMED = [
+  "hero",
+  {
+    name: "service-tabs",
+    sections: ["web-development", { name: "mobile-apps", children: ["ios"] }],
+  },
+  "footer",
+];
+
+describe("section tree", () => {
+  it("should read the keyed and the named form the same way", () => {
+    const keyed = new SectionTree(KEYED);
+    const named = new SectionTree(NAMED);
+
+    expect(named.format()).toBe(keyed.format());
+    expect(keyed.format()).toBe(
+      [
+        "hero",
+        "service-tabs",
+        "  web-development",
+        "  mobile-apps",
+        "    ios",
+        "footer",
+      ].join("\n")
+    );
+    named.expectSectionTree(keyed);
+  });
+
+  it("should give the path from the top-level section down", () => {
+    const tree = new SectionTree(NAMED);
+
+    expect(tree.getSectionPath("ios")).toEqual([
+      "service-tabs",
+      "mobile-apps",
+      "ios",
+    ]);
+    expect(tree.getSectionPath("hero")).toEqual(["hero"]);
+    expect(tree.getSectionPath("missing")).toBeNull();
+  });
+
+  it("should list children, and none for an unknown parent", () => {
+    const tree = new SectionTree(KEYED, "pages/services/page.yml");
+
+    expect(tree.getChildrenOf(null)).toEqual([
+      "hero",
+      "service-tabs",
+      "footer",
+    ]);
+    tree.expectChildrenOf("service-tabs", ["web-development", "mobile-apps"]);
+    expect(tree.getChildrenOf("missing")).toBeNull();
+    expect(() => tree.expectChildrenOf("missing", [])).toThrow(
+      "Expected missing in pages/services/page.yml to have children"
+    );
+  });
+
+  it("should check relative order and ignore sections in between", () => {
+    const tree = new SectionTree(KEYED);
+
+    tree.expectSectionOrder(["hero", "ios", "footer"]);
+    expect(() => tree.expectSectionOrder(["footer", "hero"])).toThrow(
+      "Expected sections of page.yml in the order footer, hero"
+    );
+  });
+});
@@ -6,7 +6,7 @@ export default defineConfig({
     timeout: 30000, // CLI operations can be slow
     testTimeout: 30000,
     setupFiles: ["./tests/setup/test-helpers.js"],
-    reporters: ["verbose"],
+    reporters: ["verbose", "./tests/setup/performance-reporter.js"],
     globals: true,
     environment: "node",
     pool: "forks", // Use child processes instead of workers